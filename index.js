@@ -2,3 +2,6 @@ export * from './lib/meta.js'
 export * from './lib/gc.js'
 export * from './lib/auto-gc.js'
 export * from './lib/hyperdrive-adapter.js'
+export * from './lib/expiry-index.js'
+export * from './lib/keystore.js'
+export { createConsoleLogger, createSilentLogger } from './lib/logger.js'
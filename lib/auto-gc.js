@@ -1,5 +1,20 @@
+import { EventEmitter } from 'node:events'
 import { runEphemeralGC } from './gc.js'
+import { createMinHeap } from './heap.js'
+import { getNextDeadline } from './meta.js'
 import { createMonotonicNow } from './time.js'
+import { resolveLogger } from './logger.js'
+
+// setTimeout overflows (and fires immediately) above this delay
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1
+
+// Resolved on each call, so fake timers installed later still apply
+const GLOBAL_TIMERS = {
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (handle) => clearInterval(handle),
+}
 
 /**
  * @typedef {Object} EphemeralMeta
@@ -11,67 +26,484 @@ import { createMonotonicNow } from './time.js'
  * @property {() => Promise<EphemeralMeta[]> | AsyncIterable<EphemeralMeta>} listMetas
  * @property {(meta: EphemeralMeta) => Promise<void>} saveMeta
  * @property {(meta: EphemeralMeta) => Promise<void>} [onExpire]
+ * @property {(id: string) => Promise<EphemeralMeta | null>} [readMeta] - Reads one meta, or null if it is gone; lets deadline mode re-read only the due metas
+ */
+
+/**
+ * @typedef {Object} EphemeralRetryPolicy
+ * @property {number} [initialDelayMs=intervalMs] - Delay before the first retry
+ * @property {number} [maxDelayMs=900000] - Upper bound for the retry delay
+ * @property {number} [factor=2] - Multiplier applied to the delay after each consecutive failure
+ * @property {number} [jitter=0.2] - Fraction (0-1) of the delay that is randomly shaved off
+ * @property {number} [maxConsecutiveErrors=5] - Stop after this many failures in a row (Infinity never gives up)
  */
 
 /**
- * @typedef {Object} EphemeralAutoGCController
- * @property {() => void} start - Start automatic GC
- * @property {() => void} stop - Stop automatic GC
- * @property {() => boolean} isRunning - Check if automatic GC is running
+ * @typedef {Object} EphemeralTimers
+ * @property {(fn: () => void, ms: number) => any} setTimeout
+ * @property {(handle: any) => void} clearTimeout
+ * @property {(fn: () => void, ms: number) => any} setInterval
+ * @property {(handle: any) => void} clearInterval
+ * @property {(promise: Promise<any>) => void} [track] - Called with every GC run, so a manual clock can wait for it
+ */
+
+/**
+ * @typedef {Object} EphemeralAutoGCFailureState
+ * @property {number} consecutiveErrors - Failed runs in a row (0 when healthy)
+ * @property {Error | null} lastError - Most recent error, kept after recovery
+ * @property {number | null} lastErrorAt - Clock value of the most recent error
+ * @property {number | null} nextAttemptAt - Clock value of the scheduled retry, or null when not backing off
+ */
+
+/**
+ * Controller for automatic GC. It is an EventEmitter with these events:
+ *
+ * - `run-start` - A GC run is starting
+ * - `run-end` (report) - A GC run finished, with the EphemeralGCResult
+ * - `expired` (meta, session) - A meta was expired, with its per-session outcome
+ * - `unlocked` (meta) - ctx.onUnlock announced a meta whose unlockAt has passed
+ * - `expiring-soon` (meta, leadMs) - ctx.onExpiringSoon warned that a meta expires within leadMs
+ * - `tombstoned` (meta) - A meta expired and was tombstoned until ctx.graceMs has passed
+ * - `error` (err) - A GC run failed (logged as a warning when there is no listener)
+ * - `backoff` ({ consecutiveErrors, maxConsecutiveErrors, delayMs, nextAttemptAt }) - A retry after a failure is scheduled
+ * - `stopped` ({ reason }) - GC stopped and no run is in flight, `reason` is `'manual'` or `'too-many-errors'`
+ *
+ * @typedef {EventEmitter & {
+ *   start: () => void,
+ *   stop: () => Promise<void>,
+ *   isRunning: () => boolean,
+ *   schedule: (meta: EphemeralMeta) => void,
+ *   getFailureState: () => EphemeralAutoGCFailureState
+ * }} EphemeralAutoGCController
  */
 
 /**
  * Creates an automatic garbage collection controller.
  *
+ * In `'interval'` mode GC runs `intervalMs` after the previous run finished.
+ * In `'deadline'` mode the controller keeps a min-heap of upcoming deadlines
+ * (`expiresAt`, plus `unlockAt` and expiring-soon warnings when ctx has the
+ * matching hooks), arms a single timer for the earliest one, and only does a
+ * full rescan every `rescanIntervalMs` as a safety net. When the timer fires
+ * and ctx has `readMeta`, only the metas due at that moment are re-read and
+ * processed. Without it, and without `listDueMetas`, every fired deadline is a
+ * full run over `listMetas`, so N sessions with distinct deadlines cost N full
+ * scans.
+ *
+ * A failed run is retried with exponential backoff and jitter. While backing
+ * off, scheduled deadlines and rescans wait for the retry. A deadline the run
+ * could not act on, because onUnlock or onExpiringSoon threw, is retried
+ * `intervalMs` later.
+ *
+ * Runs honor the `batchSize`, `maxItemsPerRun` and `maxDurationMs` budgets of
+ * runEphemeralGC. A truncated run is continued from its cursor after at most
+ * `intervalMs`, and so is a run that deferred expiry on an untrusted clock.
+ *
+ * Only one run is in flight at a time: a tick that fires during a run is
+ * coalesced into a single follow-up run. `stop()` aborts the in-flight run
+ * between sessions and resolves once it has settled, so the drive can be
+ * closed afterwards.
+ *
  * @param {EphemeralGCContext} ctx - GC context
  * @param {Object} [options={}] - Options
+ * @param {'interval' | 'deadline'} [options.mode='interval'] - Scheduling mode
  * @param {number} [options.intervalMs=60000] - Interval between GC runs in milliseconds
+ * @param {number} [options.rescanIntervalMs=900000] - Interval between safety-net full rescans in deadline mode
+ * @param {EphemeralRetryPolicy} [options.retry] - Retry policy after failed runs
+ * @param {number} [options.batchSize] - Metas per batch before yielding to the event loop (see runEphemeralGC)
+ * @param {number} [options.maxItemsPerRun] - Scan budget per run (see runEphemeralGC)
+ * @param {number} [options.maxDurationMs] - Time budget per run (see runEphemeralGC)
+ * @param {number} [options.concurrency] - Sessions expired in parallel (see runEphemeralGC)
  * @param {() => number} [options.nowFn] - Clock function (defaults to createMonotonicNow())
- * @returns {EphemeralAutoGCController} Controller with start, stop, and isRunning methods
- * @throws {Error} If nowFn is not a function
+ * @param {import('./time.js').EphemeralClock} [options.clock] - Clock object, used instead of nowFn (see runEphemeralGC)
+ * @param {boolean} [options.requireTrustedClock=false] - Defer expiry while options.clock is not trusted (see runEphemeralGC)
+ * @param {EphemeralTimers} [options.timers] - Timer functions (defaults to the global ones; see createManualClock)
+ * @param {import('./logger.js').EphemeralLogger} [options.logger] - Logger (defaults to the console logger)
+ * @returns {EphemeralAutoGCController} Event-emitting controller with start, stop, isRunning, schedule, and getFailureState methods
+ * @throws {Error} If nowFn is not a function, mode is unknown, timers are incomplete, or the retry policy is invalid
  */
 export function createEphemeralAutoGC(ctx, options = {}) {
+  const mode = options.mode ?? 'interval'
   const intervalMs = options.intervalMs ?? 60_000
-  const nowFn = options.nowFn ?? createMonotonicNow()
+  const rescanIntervalMs = options.rescanIntervalMs ?? 15 * 60_000
+  const logger = resolveLogger(options.logger)
+  const clock = options.clock
+  const nowFn = clock ? () => clock.now() : (options.nowFn ?? createMonotonicNow({ logger }))
 
   if (typeof nowFn !== 'function') {
     throw new Error('[ephemeral] createEphemeralAutoGC: nowFn is required')
   }
+  if (mode !== 'interval' && mode !== 'deadline') {
+    throw new Error(`[ephemeral] createEphemeralAutoGC: unknown mode "${mode}"`)
+  }
+
+  const timers = options.timers ?? GLOBAL_TIMERS
+  if (!['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'].every((name) => typeof timers[name] === 'function')) {
+    throw new Error('[ephemeral] createEphemeralAutoGC: timers must provide setTimeout, clearTimeout, setInterval and clearInterval')
+  }
+
+  const retry = resolveRetryPolicy(options.retry, intervalMs)
+  const emitter = new EventEmitter()
+  const deadlines = createMinHeap((a, b) => a.at - b.at)
+  const deadlineOptions = {
+    unlock: typeof ctx.onUnlock === 'function',
+    leadMs: ctx.onExpiringSoon ? ctx.expiringSoonLeadMs : undefined,
+    graceMs: ctx.graceMs,
+  }
+  const failure = { consecutiveErrors: 0, lastError: null, lastErrorAt: null, nextAttemptAt: null }
 
+  let active = false
+  // Bumped on start and stop so callbacks of an earlier run cannot re-arm timers
+  let epoch = 0
+  let inFlight = null
+  let abortController = null
+  // 'due' or 'full' while a run is in flight and another one was requested
+  let rerun = null
+  let cursor = null
+  // The last run was truncated or deferred expiry, so the next one has to be a full run
+  let catchUp = false
+  // Deadlines scheduled while a full run is in flight, kept when it replaces the heap
+  let scheduledDuringRun = []
+  // Interval mode: the next run. Deadline mode: the rescan interval.
   let timer = null
-  let consecutiveErrors = 0
-  const MAX_CONSECUTIVE_ERRORS = 5
+  // Deadline mode: the earliest deadline, or the retry while backing off
+  let deadlineTimer = null
 
-  function tick() {
-    runEphemeralGC(ctx, { nowFn })
-      .then(() => {
-        consecutiveErrors = 0
+  /**
+   * Starts a GC run, or requests one after the run in flight.
+   *
+   * @param {'due' | 'full'} [kind='full'] - `'due'` only processes the metas whose deadline has passed, when ctx allows it
+   */
+  function tick(kind = 'full') {
+    if (inFlight) {
+      if (rerun !== 'full') rerun = kind
+      return
+    }
+
+    const due = kind === 'due' && ctx.readMeta && !ctx.listDueMetas && !catchUp ? popDue() : null
+    const runEpoch = epoch
+    const controller = new AbortController()
+    const pending = []
+    const onPending = mode === 'deadline'
+      ? (meta, at) => pending.push({ id: meta.id, at })
+      : undefined
+    const onExpired = (meta, session) => emitter.emit('expired', meta, session)
+    const onUnlocked = (meta) => emitter.emit('unlocked', meta)
+    const onExpiringSoonNotified = (meta, leadMs) => emitter.emit('expiring-soon', meta, leadMs)
+    const onTombstoned = (meta) => emitter.emit('tombstoned', meta)
+
+    emitter.emit('run-start')
+
+    scheduledDuringRun = []
+    abortController = controller
+    inFlight = runEphemeralGC(due ? { ...ctx, listMetas: () => due.metas(), listDueMetas: undefined } : ctx, {
+      nowFn,
+      clock,
+      requireTrustedClock: options.requireTrustedClock,
+      onPending,
+      onExpired,
+      onUnlocked,
+      onExpiringSoonNotified,
+      onTombstoned,
+      logger,
+      signal: controller.signal,
+      batchSize: options.batchSize,
+      maxItemsPerRun: options.maxItemsPerRun,
+      maxDurationMs: options.maxDurationMs,
+      concurrency: options.concurrency,
+      cursor: due ? null : cursor,
+    })
+      .then((report) => {
+        failure.consecutiveErrors = 0
+        failure.nextAttemptAt = null
+        if (!due) cursor = report.cursor
+        catchUp = (!due && report.truncated) || report.deferred > 0
+        emitter.emit('run-end', report)
+
+        if (!active || runEpoch !== epoch) return
+
+        if (mode === 'deadline') {
+          if (due) {
+            // A budget may have ended the run before every due meta was read
+            for (const entry of due.unread()) deadlines.push(entry)
+          } else if (!report.truncated) {
+            // A truncated run only saw part of the metas, so keep older deadlines
+            deadlines.clear()
+            for (const entry of scheduledDuringRun) deadlines.push(entry)
+          }
+          // A deadline still pending at the run's own time is one GC failed to act on, such as
+          // a throwing onUnlock or onExpiringSoon, so it is retried after intervalMs, not at once
+          for (const entry of pending) {
+            deadlines.push(entry.at > report.now ? entry : { ...entry, at: report.now + intervalMs })
+          }
+          arm(0, catchUp || (due && report.truncated) ? intervalMs : MAX_TIMER_DELAY_MS)
+        } else {
+          next(intervalMs)
+        }
       })
       .catch((err) => {
-        consecutiveErrors++
-        console.warn(
-          `[ephemeral] auto-GC error (${consecutiveErrors}/${MAX_CONSECUTIVE_ERRORS}):`,
-          err
-        )
-
-        if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
-          console.error('[ephemeral] Too many GC errors, stopping auto-GC')
-          stop()
+        // Aborted by stop(): not a failure
+        if (controller.signal.aborted) return
+
+        failure.consecutiveErrors++
+        failure.lastError = err
+        failure.lastErrorAt = nowFn()
+        const { consecutiveErrors } = failure
+
+        if (emitter.listenerCount('error') > 0) {
+          emitter.emit('error', err)
+        } else {
+          logger.warn(`auto-GC error (${consecutiveErrors}/${retry.maxConsecutiveErrors})`, {
+            error: err,
+            consecutiveErrors,
+          })
+        }
+
+        if (!active || runEpoch !== epoch) return
+
+        if (consecutiveErrors >= retry.maxConsecutiveErrors) {
+          logger.error('Too many GC errors, stopping auto-GC', { consecutiveErrors })
+          halt('too-many-errors')
+          return
         }
+
+        const delayMs = backoffDelay(retry, consecutiveErrors)
+        failure.nextAttemptAt = nowFn() + delayMs
+
+        if (mode === 'deadline') {
+          timers.clearTimeout(deadlineTimer)
+          deadlineTimer = timers.setTimeout(() => {
+            deadlineTimer = null
+            tick()
+          }, delayMs)
+        } else {
+          next(delayMs)
+        }
+
+        emitter.emit('backoff', {
+          consecutiveErrors,
+          maxConsecutiveErrors: retry.maxConsecutiveErrors,
+          delayMs,
+          nextAttemptAt: failure.nextAttemptAt,
+        })
       })
+      .finally(() => {
+        inFlight = null
+        abortController = null
+
+        if (rerun && active) {
+          const kind = rerun
+          rerun = null
+          tick(kind)
+        }
+      })
+
+    if (timers.track) timers.track(inFlight)
+  }
+
+  /**
+   * Removes the deadlines that have passed from the heap, for a run that only
+   * re-reads their metas.
+   *
+   * @returns {{ metas: () => AsyncGenerator<EphemeralMeta>, unread: () => { id: string, at: number }[] }}
+   *   The due metas in id order, and the entries of those a truncated run did not get to
+   */
+  function popDue() {
+    const now = nowFn()
+    const entries = new Map()
+    while (deadlines.size() > 0 && deadlines.peek().at <= now) {
+      const entry = deadlines.pop()
+      if (!entries.has(entry.id)) entries.set(entry.id, entry)
+    }
+
+    const ids = [...entries.keys()].sort()
+    let read = 0
+    return {
+      async * metas() {
+        while (read < ids.length) {
+          const meta = await ctx.readMeta(ids[read++])
+          if (meta) yield meta
+        }
+      },
+      unread: () => ids.slice(read).map((id) => entries.get(id)),
+    }
+  }
+
+  /**
+   * Schedules the next run in interval mode.
+   *
+   * @param {number} delayMs - Delay before the run
+   */
+  function next(delayMs) {
+    timer = timers.setTimeout(() => {
+      timer = null
+      tick()
+    }, Math.min(delayMs, MAX_TIMER_DELAY_MS))
+  }
+
+  /**
+   * Arms the deadline timer for the earliest known deadline.
+   *
+   * @param {number} minDelayMs - Lower bound for the delay
+   * @param {number} [maxDelayMs=MAX_TIMER_DELAY_MS] - Upper bound; the timer is armed even without deadlines when set
+   */
+  function arm(minDelayMs, maxDelayMs = MAX_TIMER_DELAY_MS) {
+    if (deadlineTimer) {
+      timers.clearTimeout(deadlineTimer)
+      deadlineTimer = null
+    }
+
+    const earliest = deadlines.peek()
+    if (!earliest && maxDelayMs >= MAX_TIMER_DELAY_MS) return
+
+    const delay = earliest ? Math.max(minDelayMs, earliest.at - nowFn()) : maxDelayMs
+    const capped = delay > maxDelayMs
+    deadlineTimer = timers.setTimeout(() => {
+      deadlineTimer = null
+      // Timers run on the event loop's cached time and can fire a little before nowFn() reaches the deadline
+      const due = deadlines.peek()
+      if (!capped && due && due.at > nowFn()) {
+        arm(0, maxDelayMs)
+        return
+      }
+      tick(capped ? 'full' : 'due')
+    }, Math.min(delay, maxDelayMs))
+  }
+
+  function schedule(meta) {
+    if (mode !== 'deadline') return
+
+    const at = getNextDeadline(meta, deadlineOptions)
+    if (at === undefined) return
+
+    const previous = deadlines.peek()
+    deadlines.push({ id: meta.id, at })
+    if (inFlight) scheduledDuringRun.push({ id: meta.id, at })
+
+    // While backing off the retry timer owns deadlineTimer
+    if (failure.consecutiveErrors > 0) return
+    if (active && (!previous || at < previous.at)) arm(0)
   }
 
   function start() {
-    if (timer) return
-    consecutiveErrors = 0
-    timer = setInterval(tick, intervalMs)
+    if (active) return
+    active = true
+    epoch++
+    failure.consecutiveErrors = 0
+    failure.nextAttemptAt = null
+
+    if (mode === 'deadline') {
+      timer = timers.setInterval(() => {
+        if (failure.consecutiveErrors === 0) tick()
+      }, rescanIntervalMs)
+      tick()
+      return
+    }
+
+    next(intervalMs)
   }
 
-  function stop() {
-    if (!timer) return
-    clearInterval(timer)
+  /**
+   * Clears all timers, aborts the in-flight run, and emits `stopped` once it
+   * has settled.
+   *
+   * @param {'manual' | 'too-many-errors'} reason - Why GC stopped
+   * @returns {Promise<void>} Resolves when no run is in flight
+   */
+  function halt(reason) {
+    if (!active) return settled()
+    active = false
+    epoch++
+    rerun = null
+
+    if (mode === 'deadline') timers.clearInterval(timer)
+    else timers.clearTimeout(timer)
     timer = null
+
+    if (deadlineTimer) {
+      timers.clearTimeout(deadlineTimer)
+      deadlineTimer = null
+    }
+    deadlines.clear()
+    failure.nextAttemptAt = null
+
+    if (abortController) abortController.abort()
+
+    return settled().then(() => {
+      emitter.emit('stopped', { reason })
+    })
+  }
+
+  /**
+   * Waits for the in-flight run, if any, without rejecting.
+   *
+   * @returns {Promise<void>}
+   */
+  function settled() {
+    return inFlight ? inFlight.then(noop, noop) : Promise.resolve()
   }
 
-  return { start, stop, isRunning: () => !!timer }
+  function stop() {
+    return halt('manual')
+  }
+
+  function getFailureState() {
+    return { ...failure }
+  }
+
+  return Object.assign(emitter, { start, stop, isRunning: () => active, schedule, getFailureState })
+}
+
+/**
+ * Fills in and validates a retry policy.
+ *
+ * @param {EphemeralRetryPolicy} [retry={}] - User policy
+ * @param {number} intervalMs - Default for initialDelayMs
+ * @returns {Required<EphemeralRetryPolicy>} Complete policy
+ * @throws {Error} If a field is out of range
+ */
+function resolveRetryPolicy(retry = {}, intervalMs) {
+  const initialDelayMs = retry.initialDelayMs ?? intervalMs
+  const policy = {
+    initialDelayMs,
+    maxDelayMs: retry.maxDelayMs ?? Math.max(initialDelayMs, 15 * 60_000),
+    factor: retry.factor ?? 2,
+    jitter: retry.jitter ?? 0.2,
+    maxConsecutiveErrors: retry.maxConsecutiveErrors ?? 5,
+  }
+
+  if (!(policy.initialDelayMs > 0) || !isFinite(policy.initialDelayMs)) {
+    throw new Error('[ephemeral] createEphemeralAutoGC: retry.initialDelayMs must be a positive number')
+  }
+  if (!(policy.maxDelayMs >= policy.initialDelayMs) || !isFinite(policy.maxDelayMs)) {
+    throw new Error('[ephemeral] createEphemeralAutoGC: retry.maxDelayMs must be at least retry.initialDelayMs')
+  }
+  if (!(policy.factor >= 1) || !isFinite(policy.factor)) {
+    throw new Error('[ephemeral] createEphemeralAutoGC: retry.factor must be at least 1')
+  }
+  if (!(policy.jitter >= 0 && policy.jitter <= 1)) {
+    throw new Error('[ephemeral] createEphemeralAutoGC: retry.jitter must be between 0 and 1')
+  }
+  if (!(policy.maxConsecutiveErrors >= 1)) {
+    throw new Error('[ephemeral] createEphemeralAutoGC: retry.maxConsecutiveErrors must be at least 1')
+  }
+
+  return policy
 }
+
+/**
+ * Computes the delay before the next attempt after `consecutiveErrors` failures.
+ *
+ * @param {Required<EphemeralRetryPolicy>} retry - Retry policy
+ * @param {number} consecutiveErrors - Failures in a row, at least 1
+ * @returns {number} Delay in milliseconds, never above maxDelayMs
+ */
+function backoffDelay(retry, consecutiveErrors) {
+  const base = Math.min(
+    retry.maxDelayMs,
+    retry.initialDelayMs * retry.factor ** (consecutiveErrors - 1)
+  )
+  return Math.round(base * (1 - retry.jitter * Math.random()))
+}
+
+function noop() { }
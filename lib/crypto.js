@@ -0,0 +1,68 @@
+import { createCipheriv, createDecipheriv, randomBytes } from 'node:crypto'
+
+const VERSION = 1
+const ALGORITHM = 'aes-256-gcm'
+const NONCE_BYTES = 12
+const TAG_BYTES = 16
+const HEADER_BYTES = 1 + NONCE_BYTES + TAG_BYTES
+
+export const KEY_BYTES = 32
+
+/**
+ * Generates a new random data key.
+ *
+ * @returns {Buffer} 32-byte key
+ */
+export function generateDataKey() {
+  return randomBytes(KEY_BYTES)
+}
+
+/**
+ * Encrypts a payload with AES-256-GCM.
+ *
+ * Layout: version (1) | nonce (12) | auth tag (16) | ciphertext.
+ *
+ * @param {Buffer} key - 32-byte data key
+ * @param {Buffer} plaintext - Payload to encrypt
+ * @param {string} aad - Associated data (the file path), so ciphertexts cannot be swapped between files
+ * @returns {Buffer} Encrypted payload
+ * @throws {Error} If key has the wrong length
+ */
+export function encryptPayload(key, plaintext, aad) {
+  if (!Buffer.isBuffer(key) || key.length !== KEY_BYTES) {
+    throw new Error('[ephemeral] encryptPayload: key must be a 32-byte Buffer')
+  }
+
+  const nonce = randomBytes(NONCE_BYTES)
+  const cipher = createCipheriv(ALGORITHM, key, nonce)
+  cipher.setAAD(Buffer.from(aad, 'utf8'))
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()])
+  return Buffer.concat([Buffer.from([VERSION]), nonce, cipher.getAuthTag(), ciphertext])
+}
+
+/**
+ * Decrypts a payload produced by encryptPayload.
+ *
+ * @param {Buffer} key - 32-byte data key
+ * @param {Buffer} buf - Encrypted payload
+ * @param {string} aad - Associated data used at encryption time
+ * @returns {Buffer} Decrypted payload
+ * @throws {Error} If the payload is malformed or fails authentication
+ */
+export function decryptPayload(key, buf, aad) {
+  if (!Buffer.isBuffer(key) || key.length !== KEY_BYTES) {
+    throw new Error('[ephemeral] decryptPayload: key must be a 32-byte Buffer')
+  }
+  if (!buf || buf.length < HEADER_BYTES || buf[0] !== VERSION) {
+    throw new Error('[ephemeral] decryptPayload: malformed payload')
+  }
+
+  const nonce = buf.subarray(1, 1 + NONCE_BYTES)
+  const tag = buf.subarray(1 + NONCE_BYTES, HEADER_BYTES)
+  const decipher = createDecipheriv(ALGORITHM, key, nonce)
+  decipher.setAAD(Buffer.from(aad, 'utf8'))
+  decipher.setAuthTag(tag)
+
+  return Buffer.concat([decipher.update(buf.subarray(HEADER_BYTES)), decipher.final()])
+}
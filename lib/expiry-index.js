@@ -0,0 +1,144 @@
+import Hyperbee from 'hyperbee'
+
+const EXPIRY_PREFIX = 'e!'
+const ID_PREFIX = 'i!'
+const KEY_WIDTH = 16
+const ENCODING = { keyEncoding: 'utf-8', valueEncoding: 'json' }
+
+/**
+ * @typedef {Object} EphemeralMeta
+ * @property {string} id - Unique identifier
+ * @property {number} [expiresAt] - Optional expiration timestamp
+ */
+
+/**
+ * @typedef {Object} ExpiryIndexEntry
+ * @property {string} id - Meta identifier
+ * @property {number} expiresAt - Deadline the meta is indexed under (its expiresAt unless deadlineOf says otherwise)
+ */
+
+/**
+ * @typedef {Object} ExpiryIndex
+ * @property {(meta: EphemeralMeta) => Promise<boolean>} put - Index or re-index a meta by its deadline; resolves to whether it is indexed
+ * @property {(id: string) => Promise<void>} del - Remove a meta from the index
+ * @property {(now: number) => AsyncIterable<ExpiryIndexEntry>} due - Entries with expiresAt <= now, earliest first
+ * @property {() => Promise<ExpiryIndexEntry | null>} next - Earliest indexed entry
+ * @property {() => AsyncIterable<ExpiryIndexEntry>} entries - All entries, by id
+ */
+
+/**
+ * Opens a Hyperbee-backed expiry index in the given Corestore.
+ *
+ * The index lives in its own core, next to the drive, so it is never part of
+ * the drive's content.
+ *
+ * @param {Object} store - Corestore instance
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.name='hyperfade-expiry-index'] - Name of the core inside the Corestore
+ * @returns {Promise<Object>} Ready Hyperbee instance to pass as the adapter's `index` option
+ */
+export async function openExpiryIndex(store, options = {}) {
+  const name = options.name ?? 'hyperfade-expiry-index'
+  const bee = new Hyperbee(store.get({ name }), ENCODING)
+  await bee.ready()
+  return bee
+}
+
+/**
+ * Creates a sorted expiry index on top of a Hyperbee.
+ *
+ * Two key spaces are kept in sync: `e!<expiresAt>!<id>` sorted by deadline
+ * for range queries, and `i!<id>` so a changed expiresAt can find and drop its
+ * previous entry.
+ *
+ * @param {Object} bee - Hyperbee instance
+ * @param {Object} [options={}] - Options
+ * @param {(meta: EphemeralMeta) => number | undefined} [options.deadlineOf] - Deadline to index a meta under (defaults to meta.expiresAt)
+ * @returns {ExpiryIndex} Index with put, del, due, next, and entries methods
+ * @throws {Error} If bee is missing
+ */
+export function createExpiryIndex(bee, options = {}) {
+  if (!bee || typeof bee.put !== 'function') {
+    throw new Error('[ephemeral] createExpiryIndex: bee is required')
+  }
+
+  const deadlineOf = options.deadlineOf ?? ((meta) => meta.expiresAt)
+
+  async function put(meta) {
+    const idKey = ID_PREFIX + meta.id
+    const previous = await bee.get(idKey, ENCODING)
+    const expiresAt = deadlineOf(meta)
+    const indexable = typeof expiresAt === 'number' && isFinite(expiresAt) && expiresAt >= 0
+
+    if (previous && indexable && previous.value.expiresAt === expiresAt) return true
+
+    const batch = bee.batch()
+    if (previous) {
+      await batch.del(expiryKey(previous.value.expiresAt, meta.id), ENCODING)
+    }
+    if (indexable) {
+      await batch.put(expiryKey(expiresAt, meta.id), { id: meta.id, expiresAt }, ENCODING)
+      await batch.put(idKey, { expiresAt }, ENCODING)
+    } else if (previous) {
+      await batch.del(idKey, ENCODING)
+    }
+    await batch.flush()
+    return indexable
+  }
+
+  async function del(id) {
+    const idKey = ID_PREFIX + id
+    const previous = await bee.get(idKey, ENCODING)
+    if (!previous) return
+
+    const batch = bee.batch()
+    await batch.del(expiryKey(previous.value.expiresAt, id), ENCODING)
+    await batch.del(idKey, ENCODING)
+    await batch.flush()
+  }
+
+  async function* due(now) {
+    const range = { gte: EXPIRY_PREFIX, lt: EXPIRY_PREFIX + padTimestamp(Math.floor(now) + 1) }
+    for await (const { value } of bee.createReadStream(range, ENCODING)) {
+      if (value.expiresAt <= now) yield value
+    }
+  }
+
+  async function next() {
+    const range = { gte: EXPIRY_PREFIX, lt: EXPIRY_PREFIX + '~', limit: 1 }
+    for await (const { value } of bee.createReadStream(range, ENCODING)) {
+      return value
+    }
+    return null
+  }
+
+  async function* entries() {
+    const range = { gte: ID_PREFIX, lt: ID_PREFIX + '~' }
+    for await (const { key, value } of bee.createReadStream(range, ENCODING)) {
+      yield { id: key.slice(ID_PREFIX.length), expiresAt: value.expiresAt }
+    }
+  }
+
+  return { put, del, due, next, entries }
+}
+
+/**
+ * Builds the sortable key for an expiry entry.
+ *
+ * @param {number} expiresAt - Expiration timestamp
+ * @param {string} id - Meta identifier
+ * @returns {string} Index key
+ */
+function expiryKey(expiresAt, id) {
+  return `${EXPIRY_PREFIX}${padTimestamp(Math.floor(expiresAt))}!${id}`
+}
+
+/**
+ * Zero-pads a timestamp so lexicographic order matches numeric order.
+ *
+ * @param {number} ts - Non-negative integer timestamp
+ * @returns {string} Padded timestamp
+ */
+function padTimestamp(ts) {
+  return String(ts).padStart(KEY_WIDTH, '0')
+}
@@ -1,5 +1,6 @@
-import { isExpired } from './meta.js'
+import { getExpiresAt, getExpiringSoonLead, getNextDeadline, isExpired, isOverdue, isUnlockPending } from './meta.js'
 import { createMonotonicNow } from './time.js'
+import { resolveLogger } from './logger.js'
 
 /**
  * @typedef {Object} EphemeralMeta
@@ -8,74 +9,572 @@ import { createMonotonicNow } from './time.js'
  * @property {number} updatedAt - Last update timestamp
  * @property {number} [unlockAt] - Optional unlock timestamp
  * @property {number} [expiresAt] - Optional expiration timestamp
+ * @property {number} [unlockNotifiedAt] - When onUnlock was fired for this meta
+ * @property {{ expiresAt: number, leadMs: number[] }} [expiringSoonNotified] - Lead times onExpiringSoon was fired for
+ * @property {{ expiredAt: number, reason: string }} [tombstone] - Written instead of expiring when ctx has a graceMs
+ * @property {import('./meta.js').EphemeralHold[]} [holds] - Holds that suspend expiry while active
+ */
+
+/**
+ * @typedef {Object} EphemeralListOptions
+ * @property {(skip: EphemeralGCSkip) => void} [onSkip] - Report an entry that was skipped as invalid
+ * @property {boolean} [dryRun] - Do not repair or otherwise mutate storage while listing
+ * @property {AbortSignal} [signal] - Stop listing early when the run is aborted
+ * @property {string} [cursor] - Resume point: listers may skip metas whose id sorts at or before it
+ */
+
+/**
+ * @typedef {Object} EphemeralExpireOutcome
+ * @property {number} [reclaimedBytes] - Bytes cleared from storage
+ * @property {string[]} [deleted] - Paths that were removed
+ * @property {{ path?: string, error: string }[]} [failed] - Paths that could not be removed, and why
+ * @property {boolean} [skipped] - The meta was no longer expired when re-checked, so nothing was removed
  */
 
 /**
  * @typedef {Object} EphemeralGCContext
- * @property {() => Promise<EphemeralMeta[]> | AsyncIterable<EphemeralMeta>} listMetas
+ * @property {(opts?: EphemeralListOptions) => Promise<EphemeralMeta[]> | AsyncIterable<EphemeralMeta>} listMetas
  * @property {(meta: EphemeralMeta) => Promise<void>} saveMeta
- * @property {(meta: EphemeralMeta) => Promise<void>} [onExpire]
+ * @property {(id: string, fn: (current: EphemeralMeta) => EphemeralMeta | null) => Promise<EphemeralMeta | null>} [updateMeta] - Re-reads a meta under the per-session lock and saves fn's result unless it is null; used instead of saveMeta for GC's own writes so they cannot overwrite concurrent updates
+ * @property {(meta: EphemeralMeta, opts: { now: number }) => Promise<EphemeralExpireOutcome | void>} [onExpire] - Deletes an expired meta's data; `opts.now` is the run's clock value
+ * @property {(meta: EphemeralMeta) => Promise<void>} [onUnlock] - Called once when unlockAt has passed, with `unlockNotifiedAt` already saved
+ * @property {(meta: EphemeralMeta, leadMs: number) => Promise<void>} [onExpiringSoon] - Called once per lead time when expiresAt is that close, with `expiringSoonNotified` already saved
+ * @property {number[]} [expiringSoonLeadMs] - Lead times before expiresAt for onExpiringSoon (required with it)
+ * @property {number} [graceMs=0] - Tombstone expired metas and only call onExpire this long after
+ * @property {(meta: EphemeralMeta) => Promise<Object>} [planExpire] - Optional details merged into each dry-run plan item
+ * @property {(now: number, opts?: EphemeralListOptions) => Promise<EphemeralMeta[]> | AsyncIterable<EphemeralMeta>} [listDueMetas] - Optional indexed lookup of due metas, used instead of listMetas
+ * @property {() => Promise<{ id: string, expiresAt: number } | null>} [nextExpiry] - Optional earliest pending deadline, reported to onPending with listDueMetas
+ */
+
+/**
+ * @typedef {Object} EphemeralGCSkip
+ * @property {string} [path] - Where the invalid entry was found
+ * @property {string} [id] - Meta identifier, if known
+ * @property {string} reason - Why it was skipped
+ */
+
+/**
+ * @typedef {Object} EphemeralGCSession
+ * @property {string} id - Meta identifier
+ * @property {number} expiresAt - Expiration timestamp
+ * @property {'deleted' | 'partial' | 'failed'} status - Outcome of onExpire
+ * @property {number} reclaimedBytes - Bytes cleared from storage
+ * @property {{ path?: string, error: string }[]} failures - What could not be deleted, and why
  */
 
 /**
  * @typedef {Object} EphemeralGCResult
- * @property {number} expired - Number of expired metas
+ * @property {number} expired - Number of metas whose expiry fully succeeded
+ * @property {number} partial - Number of metas with some failed deletions
+ * @property {number} failed - Number of metas whose expiry failed entirely
+ * @property {number} scanned - Number of metas listed
+ * @property {EphemeralGCSkip[]} skipped - Invalid entries skipped while listing
+ * @property {EphemeralGCSession[]} sessions - Per-session outcomes
+ * @property {number} reclaimedBytes - Bytes reclaimed, as reported by onExpire
+ * @property {number} unlocked - Number of metas whose unlock was announced through onUnlock
+ * @property {number} expiringSoon - Number of expiring-soon warnings announced through onExpiringSoon
+ * @property {number} tombstoned - Number of metas tombstoned, to be purged after ctx.graceMs
+ * @property {{ id: string, expiresAt?: number, holds: import('./meta.js').EphemeralHold[] }[]} held - Listed metas past their expiry that a hold keeps
+ * @property {{ listMs: number, expireMs: number, totalMs: number }} phases - Duration of each phase
+ * @property {number} now - Clock value used for the run
+ * @property {boolean} clockTrusted - Whether options.clock was trusted when the run started (true without a clock)
+ * @property {number} deferred - Number of due metas left in place because requireTrustedClock found the clock untrusted
+ * @property {boolean} truncated - True if a budget ended the run before the list was exhausted
+ * @property {string | null} cursor - Pass as `options.cursor` to resume after a truncated run (null when finished)
+ * @property {EphemeralGCPlanItem[]} [plan] - What would expire (dry run only)
+ */
+
+/**
+ * @typedef {Object} EphemeralGCPlanItem
+ * @property {string} id - Meta identifier
+ * @property {number} expiresAt - Expiration timestamp
+ * @property {number} overdueMs - How long ago the meta expired
+ * @property {{ path: string, bytes: number }[]} [paths] - Paths that would be removed (from ctx.planExpire)
+ * @property {number} [bytes] - Total bytes that would be removed (from ctx.planExpire)
  */
 
 /**
  * Runs garbage collection on ephemeral metas.
  *
+ * A throwing onExpire does not abort the run: the session is reported with
+ * status `'failed'` and GC moves on to the next one.
+ *
+ * `options.signal` is checked before listing and between sessions, never in
+ * the middle of one, so an aborted run does not leave a half-deleted session
+ * behind. An aborted run rejects with `signal.reason`.
+ *
+ * Metas are consumed lazily from listMetas. After every `batchSize` metas the
+ * run yields to the event loop, and `maxItemsPerRun` / `maxDurationMs` end the
+ * run early with `truncated: true` and a `cursor`. Passing that cursor to the
+ * next run skips metas whose id sorts at or before it, which requires
+ * listMetas to yield metas in id order (the Hyperdrive adapter does). The
+ * cursor is not used with listDueMetas, which only yields due metas anyway.
+ *
+ * Up to `concurrency` sessions are expired in parallel while listing goes on.
+ * Every started session finishes before the run returns or rejects.
+ *
+ * When the context has `onUnlock`, GC also announces metas whose unlockAt has
+ * passed. `unlockNotifiedAt` is saved with saveMeta before the hook runs, so
+ * a restart never announces a meta twice; if the hook throws, the meta is
+ * saved back without it and the next run retries. Dry runs do not announce.
+ *
+ * `onExpiringSoon` works the same way for `expiringSoonLeadMs`: once the run's
+ * clock is within a lead time of expiresAt, the hook fires with the shortest
+ * lead time reached, and every lead time reached so far is recorded in
+ * `expiringSoonNotified`. A meta first seen 30 minutes before expiry with
+ * lead times of a day and an hour gets one warning, for the hour.
+ *
+ * With `ctx.graceMs`, expiry has two phases. An expired meta is first saved
+ * with a `tombstone` ({ expiredAt, reason }) and is reported as pending until
+ * the grace period has passed; only then is onExpire called to purge it. Dry
+ * runs plan expired metas as before and leave tombstones alone.
+ *
+ * Metas under an active hold are never expired, tombstoned or purged; the ones
+ * that would have been are listed in `held`, and expiry resumes by itself once
+ * the last hold is released or lapses.
+ *
  * @param {EphemeralGCContext} ctx - GC context
  * @param {Object} [options={}] - Options
  * @param {() => number} [options.nowFn] - Clock function (defaults to createMonotonicNow())
- * @returns {Promise<EphemeralGCResult>} Result with count of expired metas
+ * @param {import('./time.js').EphemeralClock} [options.clock] - Clock object, used instead of nowFn (see createMonotonicClock)
+ * @param {boolean} [options.requireTrustedClock=false] - Leave due metas in place while options.clock is not trusted
+ * @param {(meta: EphemeralMeta, deadline: number) => void} [options.onPending] - Called for each meta GC will have to act on later, with the time it has to (see getNextDeadline)
+ * @param {boolean} [options.dryRun=false] - Report what would expire in `plan` without calling onExpire
+ * @param {(meta: EphemeralMeta, session: EphemeralGCSession) => void} [options.onExpired] - Called after each expiry attempt
+ * @param {(meta: EphemeralMeta) => void} [options.onUnlocked] - Called after onUnlock succeeded for a meta
+ * @param {(meta: EphemeralMeta, leadMs: number) => void} [options.onExpiringSoonNotified] - Called after onExpiringSoon succeeded for a meta
+ * @param {(meta: EphemeralMeta) => void} [options.onTombstoned] - Called after a meta was tombstoned
+ * @param {import('./logger.js').EphemeralLogger} [options.logger] - Logger (defaults to the console logger)
+ * @param {AbortSignal} [options.signal] - Aborts the run between sessions
+ * @param {number} [options.batchSize=100] - Metas to process before yielding to the event loop
+ * @param {number} [options.maxItemsPerRun=Infinity] - Stop after scanning this many metas
+ * @param {number} [options.maxDurationMs=Infinity] - Stop once the run has taken this long
+ * @param {string | null} [options.cursor=null] - Cursor from a previous truncated run
+ * @param {number} [options.concurrency=1] - Sessions to expire in parallel
+ * @returns {Promise<EphemeralGCResult>} Report of the run
+ * @throws {any} `signal.reason` if the run was aborted
+ * @throws {Error} If a budget option is not a positive number, ctx has onExpiringSoon without valid lead times, ctx.graceMs is invalid, or requireTrustedClock is set without a clock
  */
 export async function runEphemeralGC(ctx, options = {}) {
-  const nowFn = options.nowFn ?? createMonotonicNow()
+  const startedAt = performance.now()
+  const logger = resolveLogger(options.logger)
+  const clock = options.clock
+  const requireTrustedClock = options.requireTrustedClock === true
+
+  if (clock !== undefined && typeof clock?.now !== 'function') {
+    throw new Error('[ephemeral] runEphemeralGC: clock must have a now() method')
+  }
+  if (requireTrustedClock && !clock) {
+    throw new Error('[ephemeral] runEphemeralGC: requireTrustedClock needs a clock')
+  }
+
+  const nowFn = clock ? () => clock.now() : (options.nowFn ?? createMonotonicNow({ logger }))
   const now = nowFn()
-  const metas = await normalizeList(ctx.listMetas)
-  let expired = 0
+  const clockTrusted = clock ? clock.trusted !== false : true
+  // Checked once per run, like now
+  const deferExpiry = requireTrustedClock && !clockTrusted
+  const dryRun = options.dryRun === true
+  const signal = options.signal
+  const batchSize = options.batchSize ?? 100
+  const maxItemsPerRun = options.maxItemsPerRun ?? Infinity
+  const maxDurationMs = options.maxDurationMs ?? Infinity
+  const concurrency = options.concurrency ?? 1
+  const cursor = ctx.listDueMetas ? null : (options.cursor ?? null)
+
+  for (const [name, value] of Object.entries({ batchSize, maxItemsPerRun, maxDurationMs, concurrency })) {
+    if (typeof value !== 'number' || !(value > 0)) {
+      throw new Error(`[ephemeral] runEphemeralGC: ${name} must be a positive number`)
+    }
+  }
 
-  for (const meta of metas) {
-    if (!meta) continue
-    if (!isExpired(meta, now)) continue
+  const leadMs = ctx.onExpiringSoon ? ctx.expiringSoonLeadMs : undefined
+  if (ctx.onExpiringSoon && !isLeadTimeList(leadMs)) {
+    throw new Error('[ephemeral] runEphemeralGC: expiringSoonLeadMs must be an array of positive numbers')
+  }
 
-    if (ctx.onExpire) {
-      await ctx.onExpire(meta)
+  const graceMs = ctx.graceMs ?? 0
+  if (typeof graceMs !== 'number' || !isFinite(graceMs) || graceMs < 0) {
+    throw new Error('[ephemeral] runEphemeralGC: graceMs must be a non-negative number')
+  }
+
+  signal?.throwIfAborted()
+
+  if (deferExpiry) logger.warn('Clock is not trusted, deferring expiry', { now })
+
+  const skipped = []
+  const listOptions = { dryRun, signal, onSkip: (skip) => skipped.push(skip) }
+  if (cursor !== null) listOptions.cursor = cursor
+
+  const metas = ctx.listDueMetas
+    ? normalizeList(() => ctx.listDueMetas(now, listOptions), logger)
+    : normalizeList(() => ctx.listMetas(listOptions), logger)
+
+  const report = {
+    expired: 0,
+    partial: 0,
+    failed: 0,
+    scanned: 0,
+    skipped,
+    sessions: [],
+    reclaimedBytes: 0,
+    unlocked: 0,
+    expiringSoon: 0,
+    tombstoned: 0,
+    held: [],
+    phases: { listMs: 0, expireMs: 0, totalMs: 0 },
+    now,
+    clockTrusted,
+    deferred: 0,
+    truncated: false,
+    cursor: null,
+  }
+  const plan = []
+  let listMs = 0
+  let lastId = null
+  let inBatch = 0
+  let exhausted = false
+  const running = new Set()
+  let taskError = null
+
+  /**
+   * Handles one listed meta: reports it as pending, plans it, or expires it.
+   *
+   * @param {EphemeralMeta} meta - Listed meta
+   */
+  async function processMeta(meta) {
+    if (!isExpired(meta, now)) {
+      if (isOverdue(meta, now)) {
+        report.held.push({ id: meta.id, expiresAt: getExpiresAt(meta), holds: meta.holds })
+      }
+
+      if (ctx.onUnlock && !dryRun && isUnlockPending(meta, now)) {
+        const notified = await notifyOnce(ctx, meta,
+          (current) => isUnlockPending(current, now) ? { ...current, unlockNotifiedAt: now } : null,
+          (current) => current.unlockNotifiedAt === now ? withField(current, 'unlockNotifiedAt', meta.unlockNotifiedAt) : null,
+          (m) => ctx.onUnlock(m), 'onUnlock', logger)
+        if (notified) {
+          meta = notified
+          report.unlocked++
+          if (options.onUnlocked) options.onUnlocked(meta)
+        }
+      }
+
+      const lead = leadMs && !dryRun ? getExpiringSoonLead(meta, now, leadMs) : undefined
+      if (lead !== undefined) {
+        const expiresAt = getExpiresAt(meta)
+        const reached = leadMs.filter((l) => expiresAt - l <= now)
+        const marker = { expiresAt, leadMs: reached }
+        const notified = await notifyOnce(ctx, meta,
+          (current) => getExpiringSoonLead(current, now, leadMs) === lead && getExpiresAt(current) === expiresAt
+            ? { ...current, expiringSoonNotified: marker }
+            : null,
+          (current) => isSameMarker(current.expiringSoonNotified, marker)
+            ? withField(current, 'expiringSoonNotified', meta.expiringSoonNotified)
+            : null,
+          (m) => ctx.onExpiringSoon(m, lead), 'onExpiringSoon', logger)
+        if (notified) {
+          meta = notified
+          report.expiringSoon++
+          if (options.onExpiringSoonNotified) options.onExpiringSoonNotified(meta, lead)
+        }
+      }
+
+      const deadline = getNextDeadline(meta, { unlock: !!ctx.onUnlock, leadMs })
+      if (options.onPending && deadline !== undefined) {
+        options.onPending(meta, deadline)
+      }
+      return
+    }
+
+    // Tombstoned and still inside its grace period: purge later
+    if (meta.tombstone && now < meta.tombstone.expiredAt + graceMs) {
+      if (options.onPending) options.onPending(meta, meta.tombstone.expiredAt + graceMs)
+      return
+    }
+
+    if (dryRun) {
+      const expiresAt = getExpiresAt(meta)
+      const item = { id: meta.id, expiresAt, overdueMs: now - expiresAt }
+      if (ctx.planExpire) Object.assign(item, await ctx.planExpire(meta))
+      plan.push(item)
+      report.expired++
+      return
+    }
+
+    if (deferExpiry) {
+      report.deferred++
+      return
     }
 
-    expired++
+    if (graceMs > 0 && !meta.tombstone) {
+      let tombstoned
+      try {
+        // Re-checked on the stored meta: a hold, touch or read since listing wins
+        tombstoned = await updateMeta(ctx, meta, (current) => !current.tombstone && isExpired(current, now)
+          ? { ...current, tombstone: { expiredAt: now, reason: 'expired' } }
+          : null)
+      } catch (err) {
+        logger.warn('Failed to write tombstone', { id: meta.id, error: err })
+        report.sessions.push({
+          id: meta.id,
+          expiresAt: getExpiresAt(meta),
+          status: 'failed',
+          reclaimedBytes: 0,
+          failures: [{ error: err?.message ?? String(err) }],
+        })
+        report.failed++
+        return
+      }
+      if (!tombstoned) return
+
+      report.tombstoned++
+      if (options.onTombstoned) options.onTombstoned(tombstoned)
+      if (options.onPending) options.onPending(tombstoned, now + graceMs)
+      return
+    }
+
+    const session = await expireOne(ctx, meta, now)
+    if (!session) return
+    report.sessions.push(session)
+    report.reclaimedBytes += session.reclaimedBytes
+    report[session.status === 'deleted' ? 'expired' : session.status]++
+
+    if (options.onExpired) options.onExpired(meta, session)
   }
 
-  return { expired }
+  try {
+    while (true) {
+      if (taskError) throw taskError
+      signal?.throwIfAborted()
+
+      // Always make progress, so a tight budget cannot stall GC forever
+      if (report.scanned > 0 &&
+          (report.scanned >= maxItemsPerRun || performance.now() - startedAt >= maxDurationMs)) {
+        report.truncated = true
+        break
+      }
+
+      const pulledAt = performance.now()
+      const { value: meta, done } = await metas.next()
+      listMs += performance.now() - pulledAt
+
+      if (done) {
+        exhausted = true
+        break
+      }
+
+      if (!meta) {
+        skipped.push({ reason: 'empty entry' })
+        continue
+      }
+      if (cursor !== null && meta.id <= cursor) continue
+
+      report.scanned++
+      lastId = meta.id
+
+      const task = processMeta(meta)
+        .catch((err) => { taskError ??= err })
+        .finally(() => running.delete(task))
+      running.add(task)
+      if (running.size >= concurrency) await Promise.race(running)
+
+      if (++inBatch >= batchSize) {
+        inBatch = 0
+        await new Promise(resolve => setImmediate(resolve))
+      }
+    }
+
+    await Promise.all(running)
+    if (taskError) throw taskError
+  } finally {
+    // Let started sessions finish before the run returns or rejects
+    await Promise.allSettled(running)
+    if (!exhausted) await metas.return()
+  }
+
+  if (report.truncated && !ctx.listDueMetas) report.cursor = lastId ?? cursor
+
+  // An index only yields due metas, so ask it for the next deadline instead
+  if (ctx.listDueMetas && ctx.nextExpiry && options.onPending) {
+    const next = await ctx.nextExpiry()
+    if (next) options.onPending(next, next.expiresAt)
+  }
+
+  const endedAt = performance.now()
+  report.phases = {
+    listMs,
+    expireMs: endedAt - startedAt - listMs,
+    totalMs: endedAt - startedAt,
+  }
+
+  if (dryRun) report.plan = plan
+  return report
+}
+
+/**
+ * Saves a notification marker and then calls a lifecycle hook with the marked
+ * meta, removing the marker again if the hook fails so the next run retries it.
+ *
+ * Both writes go through updateMeta, so they only touch the marker and keep
+ * whatever else changed in the stored meta since it was listed.
+ *
+ * @param {EphemeralGCContext} ctx - GC context
+ * @param {EphemeralMeta} meta - Meta as listed
+ * @param {(current: EphemeralMeta) => EphemeralMeta | null} mark - Sets the marker, or returns null if the notification is no longer due
+ * @param {(current: EphemeralMeta) => EphemeralMeta | null} unmark - Removes the marker, or returns null if it is gone
+ * @param {(meta: EphemeralMeta) => Promise<void> | void} hook - Calls the hook
+ * @param {string} name - Hook name, for logging
+ * @param {import('./logger.js').EphemeralLogger} logger - Logger
+ * @returns {Promise<EphemeralMeta | null>} The notified meta, or null if it was not due anymore, or saving or the hook failed
+ */
+async function notifyOnce(ctx, meta, mark, unmark, hook, name, logger) {
+  let notified
+  try {
+    notified = await updateMeta(ctx, meta, mark)
+  } catch (err) {
+    logger.warn(`Failed to save ${name} notification`, { id: meta.id, error: err })
+    return null
+  }
+  if (!notified) return null
+
+  try {
+    await hook(notified)
+    return notified
+  } catch (err) {
+    logger.warn(`${name} failed`, { id: meta.id, error: err })
+    try {
+      await updateMeta(ctx, notified, unmark)
+    } catch (rollbackErr) {
+      logger.error(`Failed to roll back ${name} notification`, { id: meta.id, error: rollbackErr })
+    }
+    return null
+  }
+}
+
+/**
+ * Applies an update to the stored version of a listed meta. With
+ * ctx.updateMeta the meta is re-read under the context's per-session lock;
+ * otherwise the update is applied to the listed copy and saved with saveMeta.
+ *
+ * @param {EphemeralGCContext} ctx - GC context
+ * @param {EphemeralMeta} meta - Meta as listed
+ * @param {(current: EphemeralMeta) => EphemeralMeta | null} fn - Returns the updated meta, or null to leave it alone
+ * @returns {Promise<EphemeralMeta | null>} The saved meta, or null if nothing was saved
+ */
+async function updateMeta(ctx, meta, fn) {
+  if (ctx.updateMeta) return ctx.updateMeta(meta.id, fn)
+
+  const updated = fn(meta)
+  if (updated) await ctx.saveMeta(updated)
+  return updated
+}
+
+/**
+ * Copies a meta with a field set to a value, or removed when it is undefined.
+ *
+ * @param {EphemeralMeta} meta - Meta to copy
+ * @param {string} field - Field name
+ * @param {any} value - New value
+ * @returns {EphemeralMeta} The copy
+ */
+function withField(meta, field, value) {
+  const copy = { ...meta, [field]: value }
+  if (value === undefined) delete copy[field]
+  return copy
+}
+
+/**
+ * Checks if a stored expiring-soon marker is the one a run wrote.
+ *
+ * @param {any} stored - Stored marker
+ * @param {{ expiresAt: number, leadMs: number[] }} marker - Marker that was written
+ * @returns {boolean} True if they match
+ */
+function isSameMarker(stored, marker) {
+  return !!stored && stored.expiresAt === marker.expiresAt &&
+    Array.isArray(stored.leadMs) && stored.leadMs.join() === marker.leadMs.join()
+}
+
+/**
+ * Checks that lead times are a non-empty list of positive finite numbers.
+ *
+ * @param {any} leadMs - Value to check
+ * @returns {boolean} True if valid
+ */
+function isLeadTimeList(leadMs) {
+  return Array.isArray(leadMs) && leadMs.length > 0 &&
+    leadMs.every((lead) => typeof lead === 'number' && isFinite(lead) && lead > 0)
 }
 
 /**
- * Normalizes a list function result to an array.
+ * Calls onExpire for a single meta and classifies the outcome.
+ *
+ * @param {EphemeralGCContext} ctx - GC context
+ * @param {EphemeralMeta} meta - Expired meta
+ * @param {number} now - Clock value of the run
+ * @returns {Promise<EphemeralGCSession | null>} Session outcome, or null if onExpire found the meta no longer expired
+ */
+async function expireOne(ctx, meta, now) {
+  const session = {
+    id: meta.id,
+    expiresAt: getExpiresAt(meta),
+    status: 'deleted',
+    reclaimedBytes: 0,
+    failures: [],
+  }
+
+  if (!ctx.onExpire) return session
+
+  let outcome
+  try {
+    outcome = await ctx.onExpire(meta, { now })
+  } catch (err) {
+    session.status = 'failed'
+    session.failures.push({ error: err?.message ?? String(err) })
+    return session
+  }
+
+  if (!outcome) return session
+  if (outcome.skipped) return null
+
+  if (typeof outcome.reclaimedBytes === 'number') {
+    session.reclaimedBytes = outcome.reclaimedBytes
+  }
+
+  if (Array.isArray(outcome.failed) && outcome.failed.length > 0) {
+    session.failures = outcome.failed
+    const deleted = Array.isArray(outcome.deleted) ? outcome.deleted.length : 0
+    session.status = deleted > 0 ? 'partial' : 'failed'
+  }
+
+  return session
+}
+
+/**
+ * Normalizes a list function result to an async generator, consuming
+ * AsyncIterables lazily.
  *
  * @param {() => Promise<EphemeralMeta[]> | AsyncIterable<EphemeralMeta>} fn - Function that returns metas
- * @returns {Promise<EphemeralMeta[]>} Array of metas
+ * @param {import('./logger.js').EphemeralLogger} logger - Logger
+ * @returns {AsyncGenerator<EphemeralMeta>} Metas
  * @throws {Error} If result is not Promise or AsyncIterable
  */
-async function normalizeList(fn) {
+async function* normalizeList(fn, logger) {
   try {
     const result = fn()
 
     if (result && typeof result.then === 'function') {
-      return await result
+      yield* await result
+      return
     }
 
     if (!result || typeof result[Symbol.asyncIterator] !== 'function') {
       throw new Error('[ephemeral] listMetas must return Promise<Array> or AsyncIterable')
     }
 
-    const list = []
-    for await (const item of result) {
-      list.push(item)
-    }
-    return list
+    yield* result
   } catch (err) {
-    console.error('[ephemeral] Error in normalizeList:', err)
+    logger.error('Error in normalizeList', { error: err })
     throw err
   }
 }
@@ -0,0 +1,56 @@
+/**
+ * Compiles a glob pattern into a regular expression.
+ *
+ * Supported syntax: `**` matches across path segments, `*` matches within a
+ * segment, `?` matches a single non-separator character. A leading `**\/`
+ * also matches zero segments, so `**\/*.tmp` matches `a.tmp`.
+ *
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ * @throws {Error} If pattern is not a non-empty string
+ */
+export function compileGlob(pattern) {
+  if (typeof pattern !== 'string' || pattern.length === 0) {
+    throw new Error('[ephemeral] compileGlob: pattern must be a non-empty string')
+  }
+
+  let source = ''
+  let i = 0
+
+  while (i < pattern.length) {
+    const c = pattern[i]
+
+    if (c === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?'
+        i += 3
+      } else {
+        source += '.*'
+        i += 2
+      }
+      continue
+    }
+
+    if (c === '*') source += '[^/]*'
+    else if (c === '?') source += '[^/]'
+    else source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    i++
+  }
+
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Creates a predicate that accepts paths matching any include pattern and no
+ * exclude pattern.
+ *
+ * @param {string[]} [include=['**']] - Patterns to allow
+ * @param {string[]} [exclude=[]] - Patterns to deny, checked after include
+ * @returns {(path: string) => boolean} Matcher
+ */
+export function createGlobFilter(include = ['**'], exclude = []) {
+  const allow = include.map(compileGlob)
+  const deny = exclude.map(compileGlob)
+
+  return (path) => allow.some((re) => re.test(path)) && !deny.some((re) => re.test(path))
+}
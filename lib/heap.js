@@ -0,0 +1,80 @@
+/**
+ * @template T
+ * @typedef {Object} MinHeap
+ * @property {(item: T) => void} push - Add an item
+ * @property {() => T | undefined} pop - Remove and return the smallest item
+ * @property {() => T | undefined} peek - Return the smallest item without removing it
+ * @property {() => void} clear - Remove all items
+ * @property {() => number} size - Number of items in the heap
+ */
+
+/**
+ * Creates a binary min-heap ordered by a compare function.
+ *
+ * @template T
+ * @param {(a: T, b: T) => number} compare - Returns a negative number if a sorts before b
+ * @returns {MinHeap<T>} Heap with push, pop, peek, clear, and size methods
+ * @throws {Error} If compare is not a function
+ */
+export function createMinHeap(compare) {
+  if (typeof compare !== 'function') {
+    throw new Error('[ephemeral] createMinHeap: compare is required')
+  }
+
+  const items = []
+
+  function swap(i, j) {
+    const tmp = items[i]
+    items[i] = items[j]
+    items[j] = tmp
+  }
+
+  function siftUp(i) {
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (compare(items[i], items[parent]) >= 0) return
+      swap(i, parent)
+      i = parent
+    }
+  }
+
+  function siftDown(i) {
+    const n = items.length
+    while (true) {
+      const left = 2 * i + 1
+      const right = left + 1
+      let smallest = i
+
+      if (left < n && compare(items[left], items[smallest]) < 0) smallest = left
+      if (right < n && compare(items[right], items[smallest]) < 0) smallest = right
+      if (smallest === i) return
+
+      swap(i, smallest)
+      i = smallest
+    }
+  }
+
+  function push(item) {
+    items.push(item)
+    siftUp(items.length - 1)
+  }
+
+  function pop() {
+    if (items.length === 0) return undefined
+    const top = items[0]
+    const last = items.pop()
+    if (items.length > 0) {
+      items[0] = last
+      siftDown(0)
+    }
+    return top
+  }
+
+  return {
+    push,
+    pop,
+    peek: () => items[0],
+    clear: () => { items.length = 0 },
+    size: () => items.length,
+  }
+}
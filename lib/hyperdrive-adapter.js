@@ -1,6 +1,13 @@
 import { runEphemeralGC } from './gc.js'
 import { createEphemeralAutoGC } from './auto-gc.js'
 import { createMonotonicNow } from './time.js'
+import { createExpiryIndex } from './expiry-index.js'
+import { decryptPayload, encryptPayload } from './crypto.js'
+import { createGlobFilter } from './glob.js'
+import { resolveLogger } from './logger.js'
+import { createRateLimiter } from './rate-limit.js'
+import { getNextDeadline, isExpired, isVisible } from './meta.js'
+import { createKeyedMutex } from './mutex.js'
 
 const MAX_META_SIZE = 5 * 1024 * 1024 // 5MB
 
@@ -19,6 +26,19 @@ function sanitizePathComponent(component) {
   return component
 }
 
+/**
+ * Sanitizes a relative path (e.g. `thumbs/a.png`) by validating each component.
+ *
+ * @param {any} path - Relative path to sanitize
+ * @returns {string | null} Path if every component is valid, null otherwise
+ */
+function sanitizeRelativePath(path) {
+  if (typeof path !== 'string') return null
+  const parts = path.split('/')
+  if (parts.some((part) => sanitizePathComponent(part) === null)) return null
+  return path
+}
+
 /**
  * Validates a meta ID format.
  *
@@ -32,51 +52,524 @@ function validateMetaId(id) {
   return true
 }
 
+/**
+ * Builds the drive path of a file inside a session, validating every component.
+ *
+ * @param {string} prefix - Directory prefix
+ * @param {string} id - Session ID
+ * @param {string} name - File name relative to the session, may contain `/`
+ * @returns {string} Drive path
+ * @throws {Error} If id or name is invalid
+ */
+function sessionFilePath(prefix, id, name) {
+  if (!validateMetaId(id)) throw new Error('Invalid meta.id')
+
+  if (sanitizeRelativePath(name) === null) throw new Error('Invalid file name')
+
+  return `${prefix}/${id}/${name}`
+}
+
 /**
  * @typedef {Object} EphemeralMeta
  * @property {string} id - Unique identifier
  * @property {number} createdAt - Creation timestamp
  * @property {number} updatedAt - Last update timestamp
  * @property {number} [unlockAt] - Optional unlock timestamp
+ * @property {number} [unlockNotifiedAt] - When onUnlock was notified for this meta
+ * @property {{ expiresAt: number, leadMs: number[] }} [expiringSoonNotified] - Lead times onExpiringSoon was notified for
+ * @property {{ expiredAt: number, reason: string }} [tombstone] - Set by GC when the session expired and awaits purging
+ * @property {import('./meta.js').EphemeralHold[]} [holds] - Holds that suspend expiry while active
  * @property {number} [expiresAt] - Optional expiration timestamp
+ * @property {number} [idleTtlMs] - Expire this long after the last access
+ * @property {number} [lastAccessAt] - Last access, bumped by touch
+ * @property {number} [maxLifetimeMs] - Expire this long after createdAt, however recently accessed
+ * @property {number} [maxReads] - Expire once content has been read this many times through read()
+ * @property {number} [reads] - Reads so far
  */
 
 /**
  * @typedef {Object} HyperdriveEphemeralOptions
  * @property {string} prefix - Prefix for document paths
  * @property {string} [metaFile='meta.json'] - Name of the meta file
- * @property {string[]} filesToDelete - List of files to delete when meta expires
+ * @property {string[]} [filesToDelete] - List of files to delete when meta expires (required in 'files' mode)
+ * @property {'files' | 'session'} [deleteMode='files'] - Delete only filesToDelete, or everything under the session directory
+ * @property {string[]} [include=['**']] - Globs of session-relative paths to delete in 'session' mode
+ * @property {string[]} [exclude=[]] - Globs of session-relative paths to keep in 'session' mode
+ * @property {Object} [index] - Hyperbee used as a persistent expiry index (see openExpiryIndex)
+ * @property {boolean} [incremental=false] - Only re-read metas changed since the last listing (uses drive.diff)
+ * @property {boolean} [reclaimStorage=true] - Clear blob blocks of deleted files from local storage
+ * @property {number} [maxDeletesPerSecond=Infinity] - Rate limit for file deletions, shared by every session of this context
+ * @property {number} [verifyDelayMs=100] - Wait before verifying deletions (0 skips the wait)
+ * @property {(meta: EphemeralMeta) => Promise<void> | void} [onUnlock] - Called once per session after its unlockAt passes
+ * @property {(meta: EphemeralMeta, leadMs: number) => Promise<void> | void} [onExpiringSoon] - Called once per session and lead time before expiresAt
+ * @property {number[]} [expiringSoonLeadMs] - Lead times for onExpiringSoon, in milliseconds (required with it)
+ * @property {number} [graceMs=0] - Tombstone expired sessions and purge their data this long after (0 purges at once)
+ * @property {() => number} [nowFn] - Clock for read, touch and restore (defaults to createMonotonicNow(); see createPersistedMonotonicNow)
+ * @property {number} [touchIntervalMs] - touch() skips the write if the last access is more recent than this (default: a tenth of the session's idleTtlMs)
+ * @property {{ keystore: import('./keystore.js').EphemeralKeystore }} [encryption] - Encrypt session files with per-session keys (crypto-shredding)
  * @property {number} [intervalMs=60000] - Interval for auto-GC in milliseconds
+ * @property {'interval' | 'deadline'} [mode='interval'] - Auto-GC scheduling mode
+ * @property {number} [rescanIntervalMs=900000] - Safety-net full rescan interval in deadline mode
+ * @property {import('./auto-gc.js').EphemeralRetryPolicy} [retry] - Auto-GC retry policy after failed runs
+ * @property {number} [batchSize=100] - Metas per GC batch before yielding to the event loop
+ * @property {number} [maxItemsPerRun=Infinity] - Metas scanned per GC run before it is continued on the next run
+ * @property {number} [maxDurationMs=Infinity] - Time budget per GC run before it is continued on the next run
+ * @property {number} [concurrency=1] - Sessions expired in parallel per GC run
+ * @property {import('./time.js').EphemeralClock} [clock] - Clock object for GC and the context, used instead of nowFn (see createMonotonicClock)
+ * @property {boolean} [requireTrustedClock=false] - Defer expiry while clock is not trusted
+ * @property {import('./auto-gc.js').EphemeralTimers} [timers] - Timer functions for auto-GC (see createManualClock)
+ * @property {import('./logger.js').EphemeralLogger} [logger] - Logger (defaults to the console logger)
  */
 
 /**
  * @typedef {Object} EphemeralGCContext
  * @property {() => Promise<EphemeralMeta[]> | AsyncIterable<EphemeralMeta>} listMetas
  * @property {(meta: EphemeralMeta) => Promise<void>} saveMeta
- * @property {(meta: EphemeralMeta) => Promise<void>} [onExpire]
+ * @property {(id: string) => Promise<EphemeralMeta | null>} [readMeta] - Read one session's meta, or null if it is missing or invalid
+ * @property {(meta: EphemeralMeta) => Promise<{ reclaimedBytes: number } | void>} [onExpire]
+ * @property {(meta: EphemeralMeta) => Promise<{ paths: { path: string, bytes: number }[], bytes: number }>} [planExpire] - Paths and sizes an expiry would remove
+ * @property {(now: number, opts?: { dryRun?: boolean }) => AsyncIterable<EphemeralMeta>} [listDueMetas] - Only metas due at `now` (index mode)
+ * @property {() => Promise<{ id: string, expiresAt: number } | null>} [nextExpiry] - Earliest indexed deadline (index mode)
+ * @property {() => Promise<{ indexed: number, removed: number }>} [rebuildIndex] - Reconcile the index with the drive (index mode)
+ * @property {(id: string, name: string, buf: Buffer) => Promise<void>} [putFile] - Write a file inside a session
+ * @property {(id: string, name: string) => Promise<Buffer | null>} [getFile] - Read a file inside a session
+ * @property {(meta: EphemeralMeta) => Promise<void> | void} [onUnlock] - Called once per session after its unlockAt passes
+ * @property {(meta: EphemeralMeta, leadMs: number) => Promise<void> | void} [onExpiringSoon] - Called once per session and lead time before expiresAt
+ * @property {number[]} [expiringSoonLeadMs] - Lead times for onExpiringSoon
+ * @property {number} [graceMs] - Time tombstoned sessions are kept before purging
+ * @property {(id: string, opts?: { expiresAt?: number }) => Promise<EphemeralMeta>} [restore] - Bring a tombstoned session back during its grace period
+ * @property {(id: string, hold: import('./meta.js').EphemeralHold) => Promise<EphemeralMeta>} [hold] - Suspend a session's expiry
+ * @property {(id: string, holder: string) => Promise<EphemeralMeta>} [release] - Remove a holder's holds from a session
+ * @property {(id: string) => Promise<EphemeralMeta>} [touch] - Record an access to a session with idleTtlMs
+ * @property {(id: string, name: string) => Promise<Buffer | null>} [read] - Read a file of a visible session, counting it against maxReads
  */
 
 /**
  * @typedef {Object} EphemeralGCResult
  * @property {number} expired - Number of expired metas
+ * @property {number} reclaimedBytes - Bytes cleared from local storage
  */
 
 /**
  * Creates a GC context for Hyperdrive-based ephemeral storage.
  *
+ * When `options.index` is set, `saveMeta` and `onExpire` keep a sorted expiry
+ * index up to date and GC only reads the metas that are due. When
+ * `options.incremental` is set, `listMetas` diffs the drive against the
+ * version it last scanned and only re-reads the meta files that changed.
+ * When `options.encryption` is set, `putFile`/`getFile` encrypt session files
+ * with a per-session key and `onExpire` destroys that key before deleting.
+ *
  * @param {Object} drive - Hyperdrive instance
  * @param {HyperdriveEphemeralOptions} [options={}] - Configuration options
  * @returns {EphemeralGCContext} GC context with listMetas, saveMeta, and onExpire
+ * @throws {Error} If an option is invalid (see createExpireHandlers), onExpiringSoon is set without valid lead times, or graceMs or touchIntervalMs is invalid
  */
 export function createHyperdriveEphemeralContext(drive, options = {}) {
   const prefix = options.prefix
   const metaFile = options.metaFile ?? 'meta.json'
-  const filesToDelete = options.filesToDelete
+  const graceMs = options.graceMs ?? 0
+  const logger = resolveLogger(options.logger)
+  const nowFn = options.nowFn ?? createMonotonicNow({ logger })
 
-  return {
-    listMetas: () => listMetasFromHyperdrive(drive, prefix, metaFile),
+  if (typeof graceMs !== 'number' || !isFinite(graceMs) || graceMs < 0) {
+    throw new Error('[ephemeral] graceMs must be a non-negative number')
+  }
+  if (options.touchIntervalMs !== undefined &&
+      (typeof options.touchIntervalMs !== 'number' || !(options.touchIntervalMs >= 0))) {
+    throw new Error('[ephemeral] touchIntervalMs must be a non-negative number')
+  }
+
+  const listMetas = options.incremental
+    ? createIncrementalMetaLister(drive, prefix, metaFile, logger)
+    : (opts) => listMetasFromHyperdrive(drive, prefix, metaFile, opts, logger)
+
+  const { onExpire, planExpire } = createExpireHandlers(drive, prefix, metaFile, options, logger)
+
+  let ctx = {
+    listMetas,
     saveMeta: (meta) => saveMetaToHyperdrive(drive, prefix, metaFile, meta),
-    onExpire: (meta) => deleteFilesFromHyperdrive(drive, prefix, filesToDelete, meta),
+    onExpire,
+    planExpire,
+    putFile: (id, name, buf) => drive.put(sessionFilePath(prefix, id, name), buf),
+    getFile: (id, name) => drive.get(sessionFilePath(prefix, id, name)),
+  }
+  if (options.onUnlock) ctx.onUnlock = options.onUnlock
+  if (options.onExpiringSoon) {
+    const leadMs = options.expiringSoonLeadMs
+    if (!Array.isArray(leadMs) || leadMs.length === 0 ||
+        !leadMs.every((lead) => typeof lead === 'number' && isFinite(lead) && lead > 0)) {
+      throw new Error('[ephemeral] expiringSoonLeadMs must be an array of positive numbers')
+    }
+    ctx.onExpiringSoon = options.onExpiringSoon
+    ctx.expiringSoonLeadMs = leadMs
+  }
+  if (graceMs > 0) ctx.graceMs = graceMs
+
+  if (options.encryption) ctx = withEncryption(drive, prefix, ctx, options.encryption)
+  if (options.index) ctx = withExpiryIndex(drive, prefix, metaFile, ctx, options.index, logger)
+
+  // Late-bound so updates go through every saveMeta wrapper, including ones added by callers.
+  // Updates of one session are serialized, so concurrent reads cannot both take the last one,
+  // and GC's own writes and deletions re-check the stored meta instead of trusting its listing.
+  const mutex = createKeyedMutex()
+  const update = (name, id, fn) => updateMetaInHyperdrive(drive, prefix, metaFile, ctx, name, id, fn, nowFn, logger)
+  const locked = (name, id, fn) => mutex.run(id, () => update(name, id, fn))
+  const readCurrent = (id) => readMetaFromHyperdrive(drive, `${prefix}/${id}/${metaFile}`, nowFn(), undefined, logger)
+  ctx.readMeta = async (id) => validateMetaId(id) ? readCurrent(id) : null
+  ctx.updateMeta = (id, fn) => mutex.run(id, async () => {
+    const current = await readCurrent(id)
+    const updated = current && fn(current)
+    if (updated) await ctx.saveMeta(updated)
+    return updated || null
+  })
+  const expire = ctx.onExpire
+  ctx.onExpire = (meta, opts = {}) => mutex.run(meta.id, async () => {
+    // A hold, restore or touch since GC listed the meta keeps it
+    const current = await readCurrent(meta.id)
+    if (current && !isExpired(current, opts.now ?? nowFn())) return { skipped: true }
+    return expire(meta)
+  })
+  ctx.restore = (id, opts = {}) => locked('restore', id, (meta, now) => restoreMeta(meta, now, graceMs, opts))
+  ctx.hold = (id, hold) => locked('hold', id, (meta) => addHold(meta, hold))
+  ctx.release = (id, holder) => locked('release', id, (meta) => removeHolds(meta, holder))
+  ctx.touch = (id) => locked('touch', id, (meta, now) => touchMeta(meta, now, options.touchIntervalMs))
+  ctx.read = async (id, name) => {
+    const { meta, value } = await mutex.run(id, async () => {
+      // Fetched first, so a missing file or failed decryption does not use up a read
+      const value = await ctx.getFile(id, name)
+      const meta = await update('read', id, (meta, now) => {
+        const counted = countRead(meta, now)
+        return value === null ? meta : counted
+      })
+      return { meta, value }
+    })
+    if (typeof meta.maxReads === 'number' && meta.reads >= meta.maxReads) await expireNow(ctx, meta, nowFn, logger)
+    return value
+  }
+
+  return ctx
+}
+
+/**
+ * Reads a session's meta, applies an update to it and saves the result with
+ * the context's saveMeta. Nothing is written if the update returns the meta
+ * unchanged.
+ *
+ * @param {Object} drive - Hyperdrive instance
+ * @param {string} prefix - Directory prefix
+ * @param {string} metaFile - Name of meta file
+ * @param {EphemeralGCContext} ctx - Context whose saveMeta stores the updated meta
+ * @param {string} name - Operation name, for error messages
+ * @param {string} id - Session ID
+ * @param {(meta: EphemeralMeta, now: number) => EphemeralMeta} fn - Returns the updated meta, or throws
+ * @param {() => number} nowFn - Clock
+ * @param {import('./logger.js').EphemeralLogger} logger - Logger
+ * @returns {Promise<EphemeralMeta>} The updated meta
+ * @throws {Error} If the id is invalid, the session is missing, or fn throws
+ */
+async function updateMetaInHyperdrive(drive, prefix, metaFile, ctx, name, id, fn, nowFn, logger) {
+  if (!validateMetaId(id)) throw new Error(`[ephemeral] ${name}: invalid id`)
+
+  const now = nowFn()
+  const meta = await readMetaFromHyperdrive(drive, `${prefix}/${id}/${metaFile}`, now, undefined, logger)
+  if (!meta) throw new Error(`[ephemeral] ${name}: session "${id}" not found`)
+
+  const updated = fn(meta, now)
+  if (updated !== meta) await ctx.saveMeta(updated)
+  return updated
+}
+
+/**
+ * Restores a tombstoned session while it is inside its grace period: the
+ * tombstone is removed and the meta gets `opts.expiresAt`, or keeps its own
+ * when it is omitted.
+ *
+ * Only a lapse in time can be undone. A session that used up its maxReads or
+ * reached its maxLifetimeMs would expire again right away, so it is refused,
+ * as is one whose own expiresAt has passed and no new one is given.
+ *
+ * @param {EphemeralMeta} meta - Tombstoned meta
+ * @param {number} now - Current timestamp
+ * @param {number} graceMs - Grace period of the context
+ * @param {{ expiresAt?: number }} opts - Options
+ * @returns {EphemeralMeta} The restored meta
+ * @throws {Error} If the meta is not tombstoned, past its grace period, out of reads or lifetime, or expiresAt is not in the future
+ */
+function restoreMeta(meta, now, graceMs, opts) {
+  if (!meta.tombstone) throw new Error(`[ephemeral] restore: session "${meta.id}" is not tombstoned`)
+  if (now >= meta.tombstone.expiredAt + graceMs) {
+    throw new Error(`[ephemeral] restore: grace period of session "${meta.id}" has ended`)
+  }
+
+  const expiresAt = opts.expiresAt
+  if (expiresAt !== undefined && (typeof expiresAt !== 'number' || !isFinite(expiresAt) || expiresAt <= now)) {
+    throw new Error('[ephemeral] restore: expiresAt must be a timestamp in the future')
+  }
+
+  if (typeof meta.maxReads === 'number' && (meta.reads ?? 0) >= meta.maxReads) {
+    throw new Error(`[ephemeral] restore: session "${meta.id}" has used up its maxReads`)
+  }
+
+  const restored = { ...meta, updatedAt: now }
+  delete restored.tombstone
+  if (expiresAt !== undefined) restored.expiresAt = expiresAt
+  // Restart the idle timer, or the session would expire again right away
+  if (restored.idleTtlMs !== undefined) restored.lastAccessAt = now
+
+  if (isExpired(restored, now)) {
+    const lifetimeEnd = typeof meta.maxLifetimeMs === 'number' ? meta.createdAt + meta.maxLifetimeMs : Infinity
+    throw new Error(lifetimeEnd <= now
+      ? `[ephemeral] restore: session "${meta.id}" has reached its maxLifetimeMs`
+      : `[ephemeral] restore: session "${meta.id}" has expired, pass a new expiresAt`)
+  }
+  return restored
+}
+
+/**
+ * Counts a read against a visible session's maxReads. The last allowed read
+ * also sets expiresAt, so indexes and deadline schedulers see the expiry.
+ * Reads are counted before content is served, so a crash in between can only
+ * lose a read, never grant an extra one.
+ *
+ * @param {EphemeralMeta} meta - Meta being read
+ * @param {number} now - Current timestamp
+ * @returns {EphemeralMeta} The counted meta, or the same meta without maxReads
+ * @throws {Error} If the session is locked, expired or held past its expiry
+ */
+function countRead(meta, now) {
+  if (!isVisible(meta, now)) throw new Error(`[ephemeral] read: session "${meta.id}" is not visible`)
+  if (typeof meta.maxReads !== 'number') return meta
+
+  const counted = { ...meta, reads: (meta.reads ?? 0) + 1 }
+  if (counted.reads >= counted.maxReads) counted.expiresAt = now
+  return counted
+}
+
+/**
+ * Expires a single session right away instead of waiting for the next GC run.
+ * Failures are only logged: the session stays expired and a later run retries.
+ *
+ * @param {EphemeralGCContext} ctx - GC context
+ * @param {EphemeralMeta} meta - Expired meta
+ * @param {() => number} nowFn - Clock
+ * @param {import('./logger.js').EphemeralLogger} logger - Logger
+ * @returns {Promise<void>}
+ */
+async function expireNow(ctx, meta, nowFn, logger) {
+  try {
+    const report = await runEphemeralGC({ ...ctx, listMetas: async () => [meta], listDueMetas: undefined }, { nowFn, logger })
+    if (report.failed > 0 || report.partial > 0) {
+      logger.warn('Failed to expire session after its last read', { id: meta.id, sessions: report.sessions })
+    }
+  } catch (err) {
+    logger.warn('Failed to expire session after its last read', { id: meta.id, error: err })
+  }
+}
+
+/**
+ * Bumps the last access of a session with idleTtlMs. Accesses closer together
+ * than the touch interval are not written, so frequent reads stay cheap at
+ * the cost of expiring up to one interval early.
+ *
+ * @param {EphemeralMeta} meta - Meta to touch
+ * @param {number} now - Current timestamp
+ * @param {number} [touchIntervalMs] - Minimum time between writes (default: idleTtlMs / 10)
+ * @returns {EphemeralMeta} The touched meta, or the same meta if nothing had to be written
+ * @throws {Error} If the session has expired
+ */
+function touchMeta(meta, now, touchIntervalMs) {
+  if (isExpired(meta, now)) throw new Error(`[ephemeral] touch: session "${meta.id}" has expired`)
+  if (meta.idleTtlMs === undefined) return meta
+
+  const lastAccessAt = meta.lastAccessAt ?? meta.updatedAt ?? meta.createdAt
+  if (now - lastAccessAt < (touchIntervalMs ?? meta.idleTtlMs / 10)) return meta
+
+  return { ...meta, lastAccessAt: now }
+}
+
+/**
+ * Adds a hold to a meta.
+ *
+ * @param {EphemeralMeta} meta - Meta to hold
+ * @param {import('./meta.js').EphemeralHold} hold - Hold to add
+ * @returns {EphemeralMeta} The held meta
+ * @throws {Error} If the hold is invalid
+ */
+function addHold(meta, hold) {
+  if (!isValidHold(hold)) {
+    throw new Error('[ephemeral] hold: reason and holder must be non-empty strings, until a finite number')
+  }
+
+  const entry = { reason: hold.reason, holder: hold.holder }
+  if (hold.until !== undefined) entry.until = hold.until
+  return { ...meta, holds: [...(meta.holds ?? []), entry] }
+}
+
+/**
+ * Removes every hold placed by a holder from a meta.
+ *
+ * @param {EphemeralMeta} meta - Held meta
+ * @param {string} holder - Holder whose holds are released
+ * @returns {EphemeralMeta} The released meta
+ * @throws {Error} If the holder has no hold on the meta
+ */
+function removeHolds(meta, holder) {
+  const holds = (meta.holds ?? []).filter((hold) => hold.holder !== holder)
+  if (holds.length === (meta.holds ?? []).length) {
+    throw new Error(`[ephemeral] release: session "${meta.id}" has no hold by "${holder}"`)
+  }
+
+  const released = { ...meta, holds }
+  if (holds.length === 0) delete released.holds
+  return released
+}
+
+/**
+ * Validates a hold.
+ *
+ * @param {any} hold - Hold to validate
+ * @returns {boolean} True if valid
+ */
+function isValidHold(hold) {
+  if (!hold || typeof hold !== 'object') return false
+  if (typeof hold.reason !== 'string' || hold.reason.length === 0) return false
+  if (typeof hold.holder !== 'string' || hold.holder.length === 0) return false
+  return hold.until === undefined || (typeof hold.until === 'number' && isFinite(hold.until))
+}
+
+/**
+ * Creates the onExpire and planExpire handlers for the configured delete mode.
+ *
+ * @param {Object} drive - Hyperdrive instance
+ * @param {string} prefix - Directory prefix
+ * @param {string} metaFile - Name of meta file
+ * @param {HyperdriveEphemeralOptions} options - Configuration options
+ * @param {import('./logger.js').EphemeralLogger} logger - Logger
+ * @returns {{
+ *   onExpire: (meta: EphemeralMeta) => Promise<Object | undefined>,
+ *   planExpire: (meta: EphemeralMeta) => Promise<{ paths: { path: string, bytes: number }[], bytes: number }>
+ * }} Handlers
+ * @throws {Error} If deleteMode is unknown, filesToDelete is missing in 'files' mode, or a throttling option is invalid
+ */
+function createExpireHandlers(drive, prefix, metaFile, options, logger) {
+  const deleteMode = options.deleteMode ?? 'files'
+  const maxDeletesPerSecond = options.maxDeletesPerSecond ?? Infinity
+  const verifyDelayMs = options.verifyDelayMs ?? 100
+
+  if (typeof verifyDelayMs !== 'number' || !(verifyDelayMs >= 0)) {
+    throw new Error('[ephemeral] verifyDelayMs must be a non-negative number')
+  }
+
+  /** @type {DeleteOptions} */
+  const deleteOptions = {
+    reclaim: options.reclaimStorage !== false,
+    limiter: maxDeletesPerSecond === Infinity ? null : createRateLimiter(maxDeletesPerSecond),
+    verifyDelayMs,
+    logger,
+  }
+
+  if (deleteMode === 'files') {
+    if (!Array.isArray(options.filesToDelete)) {
+      throw new Error('[ephemeral] filesToDelete must be an array in \'files\' deleteMode')
+    }
+    return {
+      onExpire: (meta) => deleteFilesFromHyperdrive(drive, prefix, options.filesToDelete, meta, deleteOptions),
+      planExpire: (meta) => planExpireFromHyperdrive(drive, prefix, meta, async () => options.filesToDelete),
+    }
+  }
+
+  if (deleteMode === 'session') {
+    const filter = createGlobFilter(options.include, options.exclude)
+    return {
+      onExpire: (meta) => deleteSessionFromHyperdrive(drive, prefix, metaFile, filter, meta, deleteOptions),
+      planExpire: (meta) => planExpireFromHyperdrive(drive, prefix, meta, async (id) => [
+        ...await listSessionFiles(drive, prefix, id, metaFile, filter),
+        metaFile,
+      ]),
+    }
+  }
+
+  throw new Error(`[ephemeral] Unknown deleteMode "${deleteMode}"`)
+}
+
+/**
+ * Wraps a context so session files are encrypted with a per-session data key
+ * and the key is destroyed first when the session expires.
+ *
+ * @param {Object} drive - Hyperdrive instance
+ * @param {string} prefix - Directory prefix
+ * @param {EphemeralGCContext} ctx - Context to wrap
+ * @param {{ keystore: import('./keystore.js').EphemeralKeystore }} encryption - Encryption options
+ * @returns {EphemeralGCContext} Wrapped context
+ * @throws {Error} If no keystore is given
+ */
+function withEncryption(drive, prefix, ctx, encryption) {
+  const keystore = encryption.keystore
+  if (!keystore || typeof keystore.destroyKey !== 'function') {
+    throw new Error('[ephemeral] encryption.keystore is required')
+  }
+
+  return {
+    ...ctx,
+    async putFile(id, name, buf) {
+      const path = sessionFilePath(prefix, id, name)
+      const key = await keystore.getOrCreateKey(id)
+      await drive.put(path, encryptPayload(key, buf, path))
+    },
+    async getFile(id, name) {
+      const path = sessionFilePath(prefix, id, name)
+      const key = await keystore.getKey(id)
+      if (!key) return null
+
+      const buf = await drive.get(path)
+      if (!buf) return null
+
+      return decryptPayload(key, buf, path)
+    },
+    async onExpire(meta) {
+      // Shred first: even if deletion below fails, no copy can be decrypted
+      if (validateMetaId(meta.id)) await keystore.destroyKey(meta.id)
+      return ctx.onExpire(meta)
+    },
+  }
+}
+
+/**
+ * Wraps a context so saveMeta and onExpire keep a sorted expiry index in sync.
+ *
+ * @param {Object} drive - Hyperdrive instance
+ * @param {string} prefix - Directory prefix
+ * @param {string} metaFile - Name of meta file
+ * @param {EphemeralGCContext} ctx - Context to wrap
+ * @param {Object} bee - Hyperbee holding the index
+ * @param {import('./logger.js').EphemeralLogger} logger - Logger
+ * @returns {EphemeralGCContext} Wrapped context
+ */
+function withExpiryIndex(drive, prefix, metaFile, ctx, bee, logger) {
+  const deadlineOptions = {
+    unlock: typeof ctx.onUnlock === 'function',
+    leadMs: ctx.onExpiringSoon ? ctx.expiringSoonLeadMs : undefined,
+    graceMs: ctx.graceMs,
+  }
+  // Index by the next deadline so metas due for a notification come back from listDueMetas
+  const index = createExpiryIndex(bee, { deadlineOf: (meta) => getNextDeadline(meta, deadlineOptions) })
+
+  return {
+    ...ctx,
+    listDueMetas: (now, opts) => listDueMetasFromIndex(drive, prefix, metaFile, index, now, opts, logger),
+    nextExpiry: () => index.next(),
+    rebuildIndex: () => rebuildExpiryIndex(drive, prefix, metaFile, index, logger),
+    async saveMeta(meta) {
+      await ctx.saveMeta(meta)
+      await index.put(meta)
+    },
+    async onExpire(meta) {
+      const outcome = await ctx.onExpire(meta)
+      // Keep the entry on failure so the next pass retries the session
+      if (!outcome?.failed?.length) await index.del(meta.id)
+      return outcome
+    },
   }
 }
 
@@ -87,21 +580,57 @@ export function createHyperdriveEphemeralContext(drive, options = {}) {
  * @param {HyperdriveEphemeralOptions} [options={}] - Configuration options
  * @returns {{
  *   ctx: EphemeralGCContext,
- *   runOnce: () => Promise<EphemeralGCResult>,
+ *   runOnce: (options?: { signal?: AbortSignal }) => Promise<EphemeralGCResult>,
  *   auto: import('./auto-gc.js').EphemeralAutoGCController
  * }}
  */
 export function createHyperdriveEphemeralGC(drive, options = {}) {
-  const ctx = createHyperdriveEphemeralContext(drive, options)
-  const nowFn = createMonotonicNow()
+  const logger = resolveLogger(options.logger)
+  const clock = options.clock
+  const nowFn = clock ? () => clock.now() : (options.nowFn ?? createMonotonicNow({ logger }))
+  const ctx = createHyperdriveEphemeralContext(drive, { ...options, logger, nowFn })
 
   const auto = createEphemeralAutoGC(ctx, {
+    mode: options.mode,
     intervalMs: options.intervalMs ?? 60_000,
+    rescanIntervalMs: options.rescanIntervalMs,
+    retry: options.retry,
+    batchSize: options.batchSize,
+    maxItemsPerRun: options.maxItemsPerRun,
+    maxDurationMs: options.maxDurationMs,
+    concurrency: options.concurrency,
     nowFn,
+    clock,
+    requireTrustedClock: options.requireTrustedClock,
+    timers: options.timers,
+    logger,
   })
 
-  async function runOnce() {
-    return runEphemeralGC(ctx, { nowFn })
+  // Let the deadline scheduler see new sessions without waiting for a rescan
+  const saveMeta = ctx.saveMeta
+  ctx.saveMeta = async (meta) => {
+    await saveMeta(meta)
+    auto.schedule(meta)
+  }
+
+  // runOnce keeps its own cursor, independent of the auto-GC controller
+  let cursor = null
+
+  async function runOnce(runOptions = {}) {
+    const report = await runEphemeralGC(ctx, {
+      nowFn,
+      clock,
+      requireTrustedClock: options.requireTrustedClock,
+      logger,
+      signal: runOptions.signal,
+      batchSize: options.batchSize,
+      maxItemsPerRun: options.maxItemsPerRun,
+      maxDurationMs: options.maxDurationMs,
+      concurrency: options.concurrency,
+      cursor,
+    })
+    cursor = report.cursor
+    return report
   }
 
   return {
@@ -112,90 +641,300 @@ export function createHyperdriveEphemeralGC(drive, options = {}) {
 }
 
 /**
- * Lists all meta files from a Hyperdrive directory.
+ * Lazily lists the meta files of a Hyperdrive directory, in directory-name
+ * order, reading each meta only when it is requested.
  *
  * @param {Object} drive - Hyperdrive instance
  * @param {string} prefix - Directory prefix
  * @param {string} metaFile - Name of meta file
- * @returns {Promise<EphemeralMeta[]>} Array of meta objects
+ * @param {{ onSkip?: Function, signal?: AbortSignal, cursor?: string }} [opts={}] - Listing options
+ * @param {import('./logger.js').EphemeralLogger} logger - Logger
+ * @returns {AsyncGenerator<EphemeralMeta>} Meta objects
  */
-async function listMetasFromHyperdrive(drive, prefix, metaFile) {
-  const metas = []
+async function* listMetasFromHyperdrive(drive, prefix, metaFile, opts = {}, logger) {
   const it = drive.readdir ? drive.readdir(prefix) : null
-  if (!it) return metas
+  if (!it) return
 
-  const nowFn = createMonotonicNow()
+  const nowFn = createMonotonicNow({ logger })
   const now = nowFn()
 
   for await (const entry of it) {
+    opts.signal?.throwIfAborted()
+
     const id = typeof entry === 'string' ? entry : entry.name
     if (!id) continue
+    if (opts.cursor !== undefined && id <= opts.cursor) continue
 
-    const path = `${prefix}/${id}/${metaFile}`
-    const buf = await drive.get(path)
-    if (!buf) continue
+    const meta = await readMetaFromHyperdrive(drive, `${prefix}/${id}/${metaFile}`, now, opts.onSkip, logger)
+    if (meta) yield meta
+  }
+}
 
-    if (buf.length > MAX_META_SIZE) {
-      console.warn(`[ephemeral] Meta file too large: ${path} (${buf.length} bytes)`)
-      continue
+/**
+ * Creates a listMetas function that keeps an in-memory expiry table and
+ * refreshes it from the drive diff since the last checkpointed version.
+ *
+ * Falls back to a full scan on the first call, when the drive was truncated
+ * below the checkpoint, or when the drive does not support diff. Metas are
+ * yielded in id order so a GC cursor can resume after a truncated run.
+ *
+ * @param {Object} drive - Hyperdrive instance
+ * @param {string} prefix - Directory prefix
+ * @param {string} metaFile - Name of meta file
+ * @param {import('./logger.js').EphemeralLogger} logger - Logger
+ * @returns {(opts?: { onSkip?: Function, signal?: AbortSignal, cursor?: string }) => AsyncGenerator<EphemeralMeta>} listMetas implementation
+ */
+function createIncrementalMetaLister(drive, prefix, metaFile, logger) {
+  const table = new Map()
+  const folder = normalizeFolder(prefix)
+  let checkpoint = null
+
+  return async function* listMetas(opts = {}) {
+    if (typeof drive.diff !== 'function' || typeof drive.version !== 'number') {
+      yield* listMetasFromHyperdrive(drive, prefix, metaFile, opts, logger)
+      return
     }
 
-    try {
-      const meta = JSON.parse(bufferToString(buf))
+    // Captured before reading so writes made meanwhile show up in the next diff
+    const version = drive.version
+    const now = createMonotonicNow({ logger })()
 
-      if (!meta || typeof meta !== 'object') {
-        console.warn(`[ephemeral] Invalid meta structure (not an object): ${path}`)
-        continue
-      }
+    if (checkpoint === null || version < checkpoint) {
+      table.clear()
+      const it = drive.readdir(prefix)
+      for await (const entry of it) {
+        opts.signal?.throwIfAborted()
+
+        const id = typeof entry === 'string' ? entry : entry.name
+        if (!id) continue
 
-      if (!meta.id || typeof meta.id !== 'string') {
-        console.warn(`[ephemeral] Invalid meta.id (missing or not string): ${path}`)
-        continue
+        const meta = await readMetaFromHyperdrive(drive, `${prefix}/${id}/${metaFile}`, now, opts.onSkip, logger)
+        if (meta) table.set(id, meta)
       }
+    } else if (version !== checkpoint) {
+      for await (const { left, right } of drive.diff(checkpoint, prefix)) {
+        opts.signal?.throwIfAborted()
+
+        const key = (left || right).key
+        const id = metaDirFromKey(key, folder, metaFile)
+        if (!id) continue
 
-      if (!validateMetaId(meta.id)) {
-        console.warn(`[ephemeral] Invalid meta.id format found in Hyperdrive: ${path}`)
-        continue
+        const meta = left ? await readMetaFromHyperdrive(drive, key, now, opts.onSkip, logger) : null
+        if (meta) table.set(id, meta)
+        else table.delete(id)
       }
+    }
+
+    checkpoint = version
+
+    const ids = [...table.keys()].sort()
+    for (const id of ids) {
+      if (opts.cursor !== undefined && id <= opts.cursor) continue
+      // The table may change while the caller processes earlier metas
+      const meta = table.get(id)
+      if (meta) yield meta
+    }
+  }
+}
+
+/**
+ * Extracts the session directory name from a meta file key.
+ *
+ * @param {string} key - Drive key, e.g. `/sessions/abc/meta.json`
+ * @param {string} folder - Normalized prefix, e.g. `/sessions`
+ * @param {string} metaFile - Name of meta file
+ * @returns {string | null} Directory name, or null if the key is not a meta file
+ */
+function metaDirFromKey(key, folder, metaFile) {
+  const base = folder === '/' ? '/' : folder + '/'
+  if (!key.startsWith(base)) return null
+
+  const parts = key.slice(base.length).split('/')
+  if (parts.length !== 2 || parts[1] !== metaFile) return null
+
+  return parts[0] || null
+}
+
+/**
+ * Normalizes a prefix the way Hyperdrive stores keys: leading slash, no trailing slash.
+ *
+ * @param {string} prefix - Directory prefix
+ * @returns {string} Normalized folder
+ */
+function normalizeFolder(prefix) {
+  return '/' + String(prefix).split('/').filter(Boolean).join('/')
+}
+
+/**
+ * Lists the metas whose indexed expiresAt is due, repairing stale index entries.
+ *
+ * @param {Object} drive - Hyperdrive instance
+ * @param {string} prefix - Directory prefix
+ * @param {string} metaFile - Name of meta file
+ * @param {import('./expiry-index.js').ExpiryIndex} index - Expiry index
+ * @param {number} now - Current timestamp
+ * @param {Object} [opts={}] - Options
+ * @param {boolean} [opts.dryRun=false] - Do not repair stale entries
+ * @param {Function} [opts.onSkip] - Called for invalid metas
+ * @param {import('./logger.js').EphemeralLogger} logger - Logger
+ * @returns {AsyncIterable<EphemeralMeta>} Due metas, read from the drive
+ */
+async function* listDueMetasFromIndex(drive, prefix, metaFile, index, now, opts = {}, logger) {
+  // Collect first so repairs below do not mutate the range being read
+  const due = []
+  for await (const entry of index.due(now)) due.push(entry)
+
+  for (const entry of due) {
+    const id = sanitizePathComponent(entry.id)
+    const meta = id ? await readMetaFromHyperdrive(drive, `${prefix}/${id}/${metaFile}`, now, opts.onSkip, logger) : null
+
+    if (!meta || meta.id !== entry.id) {
+      if (!opts.dryRun) await index.del(entry.id)
+      continue
+    }
+
+    // Re-key entries whose meta changed since it was indexed; a no-op otherwise
+    if (!opts.dryRun) await index.put(meta)
+
+    yield meta
+  }
+}
+
+/**
+ * Rebuilds the expiry index from the metas stored in the drive.
+ *
+ * @param {Object} drive - Hyperdrive instance
+ * @param {string} prefix - Directory prefix
+ * @param {string} metaFile - Name of meta file
+ * @param {import('./expiry-index.js').ExpiryIndex} index - Expiry index
+ * @param {import('./logger.js').EphemeralLogger} logger - Logger
+ * @returns {Promise<{ indexed: number, removed: number }>} Counts of indexed metas and dropped index entries
+ */
+async function rebuildExpiryIndex(drive, prefix, metaFile, index, logger) {
+  const ids = new Set()
+  let indexed = 0
+  let removed = 0
+
+  for await (const meta of listMetasFromHyperdrive(drive, prefix, metaFile, {}, logger)) {
+    ids.add(meta.id)
+    if (await index.put(meta)) indexed++
+  }
+
+  const stale = []
+  for await (const entry of index.entries()) {
+    if (!ids.has(entry.id)) stale.push(entry.id)
+  }
+  for (const id of stale) {
+    await index.del(id)
+    removed++
+  }
+
+  return { indexed, removed }
+}
 
-      if (meta.createdAt !== undefined && (typeof meta.createdAt !== 'number' || !isFinite(meta.createdAt))) {
-        console.warn(`[ephemeral] Invalid createdAt in meta: ${path}`)
-        continue
+/**
+ * Reads and validates a single meta file.
+ *
+ * @param {Object} drive - Hyperdrive instance
+ * @param {string} path - Path of the meta file
+ * @param {number} now - Current timestamp, used for bounds checks
+ * @param {(skip: { path: string, reason: string }) => void} [onSkip] - Called when the meta is invalid
+ * @param {import('./logger.js').EphemeralLogger} logger - Logger
+ * @returns {Promise<EphemeralMeta | null>} Meta object, or null if missing or invalid
+ */
+async function readMetaFromHyperdrive(drive, path, now, onSkip, logger) {
+  const buf = await drive.get(path)
+  if (!buf) return null
+
+  function skip(reason, fields) {
+    logger.warn(reason, { path, ...fields })
+    if (onSkip) onSkip({ path, reason })
+    return null
+  }
+
+  if (buf.length > MAX_META_SIZE) {
+    return skip(`Meta file too large (${buf.length} bytes)`)
+  }
+
+  try {
+    const meta = JSON.parse(bufferToString(buf))
+
+    if (!meta || typeof meta !== 'object') {
+      return skip('Invalid meta structure (not an object)')
+    }
+
+    if (!meta.id || typeof meta.id !== 'string') {
+      return skip('Invalid meta.id (missing or not string)')
+    }
+
+    if (!validateMetaId(meta.id)) {
+      return skip('Invalid meta.id format found in Hyperdrive')
+    }
+
+    if (meta.createdAt !== undefined && (typeof meta.createdAt !== 'number' || !isFinite(meta.createdAt))) {
+      return skip('Invalid createdAt in meta')
+    }
+    if (meta.updatedAt !== undefined && (typeof meta.updatedAt !== 'number' || !isFinite(meta.updatedAt))) {
+      return skip('Invalid updatedAt in meta')
+    }
+
+    if (meta.expiresAt !== undefined) {
+      if (typeof meta.expiresAt !== 'number' || !isFinite(meta.expiresAt)) {
+        return skip('Invalid expiresAt in meta')
       }
-      if (meta.updatedAt !== undefined && (typeof meta.updatedAt !== 'number' || !isFinite(meta.updatedAt))) {
-        console.warn(`[ephemeral] Invalid updatedAt in meta: ${path}`)
-        continue
+      if (meta.expiresAt < 0 || meta.expiresAt > now + 100 * 365 * 24 * 60 * 60 * 1000) {
+        return skip('expiresAt out of bounds in meta')
       }
+    }
 
-      if (meta.expiresAt !== undefined) {
-        if (typeof meta.expiresAt !== 'number' || !isFinite(meta.expiresAt)) {
-          console.warn(`[ephemeral] Invalid expiresAt in meta: ${path}`)
-          continue
-        }
-        if (meta.expiresAt < 0 || meta.expiresAt > now + 100 * 365 * 24 * 60 * 60 * 1000) {
-          console.warn(`[ephemeral] expiresAt out of bounds in meta: ${path}`)
-          continue
-        }
+    if (meta.unlockAt !== undefined) {
+      if (typeof meta.unlockAt !== 'number' || !isFinite(meta.unlockAt)) {
+        return skip('Invalid unlockAt in meta')
+      }
+      if (meta.unlockAt < 0 || meta.unlockAt > now + 100 * 365 * 24 * 60 * 60 * 1000) {
+        return skip('unlockAt out of bounds in meta')
       }
+    }
 
-      if (meta.unlockAt !== undefined) {
-        if (typeof meta.unlockAt !== 'number' || !isFinite(meta.unlockAt)) {
-          console.warn(`[ephemeral] Invalid unlockAt in meta: ${path}`)
-          continue
-        }
-        if (meta.unlockAt < 0 || meta.unlockAt > now + 100 * 365 * 24 * 60 * 60 * 1000) {
-          console.warn(`[ephemeral] unlockAt out of bounds in meta: ${path}`)
-          continue
-        }
+    if (meta.unlockNotifiedAt !== undefined && (typeof meta.unlockNotifiedAt !== 'number' || !isFinite(meta.unlockNotifiedAt))) {
+      return skip('Invalid unlockNotifiedAt in meta')
+    }
+
+    for (const field of ['idleTtlMs', 'maxLifetimeMs']) {
+      if (meta[field] !== undefined && (typeof meta[field] !== 'number' || !isFinite(meta[field]) || meta[field] <= 0)) {
+        return skip(`Invalid ${field} in meta`)
       }
+    }
+    if (meta.lastAccessAt !== undefined && (typeof meta.lastAccessAt !== 'number' || !isFinite(meta.lastAccessAt))) {
+      return skip('Invalid lastAccessAt in meta')
+    }
+    if (meta.maxReads !== undefined && (!Number.isInteger(meta.maxReads) || meta.maxReads < 1)) {
+      return skip('Invalid maxReads in meta')
+    }
+    if (meta.reads !== undefined && (!Number.isInteger(meta.reads) || meta.reads < 0)) {
+      return skip('Invalid reads in meta')
+    }
 
-      metas.push(meta)
-    } catch (err) {
-      console.warn(`[ephemeral] Failed to parse meta file: ${path}`, err.message)
+    if (meta.holds !== undefined && (!Array.isArray(meta.holds) || !meta.holds.every(isValidHold))) {
+      return skip('Invalid holds in meta')
+    }
+
+    const tombstone = meta.tombstone
+    if (tombstone !== undefined && (!tombstone || typeof tombstone.expiredAt !== 'number' ||
+        !isFinite(tombstone.expiredAt) || typeof tombstone.reason !== 'string')) {
+      return skip('Invalid tombstone in meta')
+    }
+
+    const warned = meta.expiringSoonNotified
+    if (warned !== undefined && (!warned || typeof warned.expiresAt !== 'number' || !Array.isArray(warned.leadMs) ||
+        !warned.leadMs.every((lead) => typeof lead === 'number' && isFinite(lead)))) {
+      return skip('Invalid expiringSoonNotified in meta')
     }
-  }
 
-  return metas
+    return meta
+  } catch (err) {
+    return skip('Failed to parse meta file', { error: err })
+  }
 }
 
 /**
@@ -224,71 +963,286 @@ async function saveMetaToHyperdrive(drive, prefix, metaFile, meta) {
   await drive.put(path, buf)
 }
 
+/**
+ * @typedef {Object} DeleteOptions
+ * @property {boolean} reclaim - Clear blob blocks of deleted files
+ * @property {{ acquire: () => Promise<void> } | null} limiter - Paces every drive.del call
+ * @property {number} verifyDelayMs - Wait before verifying deletions (the retry waits half)
+ * @property {import('./logger.js').EphemeralLogger} logger - Logger
+ */
+
 /**
  * Deletes files from Hyperdrive when a meta expires.
  *
+ * Unless `opts.reclaim` is false, each file's blob is looked up before its
+ * entry is deleted and the blob blocks are then cleared from local storage,
+ * since `drive.del` alone leaves the bytes in the blobs core.
+ *
  * @param {Object} drive - Hyperdrive instance
  * @param {string} prefix - Directory prefix
- * @param {string[]} filesToDelete - List of file names to delete
+ * @param {string[]} filesToDelete - List of file paths, relative to the session, to delete
  * @param {EphemeralMeta} meta - Meta object that expired
- * @returns {Promise<void>}
+ * @param {DeleteOptions} opts - Delete options
+ * @returns {Promise<import('./gc.js').EphemeralExpireOutcome>} Reclaimed bytes, deleted paths, and failures with reasons
  */
-async function deleteFilesFromHyperdrive(drive, prefix, filesToDelete, meta) {
+async function deleteFilesFromHyperdrive(drive, prefix, filesToDelete, meta, opts) {
+  const { reclaim, limiter, verifyDelayMs, logger } = opts
+
   if (!validateMetaId(meta.id)) {
-    console.warn(`[ephemeral] Invalid meta.id in deleteFilesFromHyperdrive: ${meta.id}`)
-    return
+    logger.warn('Invalid meta.id in deleteFilesFromHyperdrive', { id: meta.id })
+    return invalidIdOutcome()
   }
 
   const id = sanitizePathComponent(meta.id)
-  if (!id) return
+  if (!id) return invalidIdOutcome()
 
   const base = `${prefix}/${id}`
+  const uncleared = new Map()
+  let reclaimedBytes = 0
 
   const sanitizedFiles = filesToDelete
-    .map((name) => sanitizePathComponent(name))
+    .map((name) => sanitizeRelativePath(name))
     .filter((name) => name !== null)
 
   const results = await Promise.allSettled(
-    sanitizedFiles.map((name) => drive.del(`${base}/${name}`))
+    sanitizedFiles.map(async (name) => {
+      const path = `${base}/${name}`
+      const blob = reclaim ? await getBlobOf(drive, path) : null
+      if (blob) uncleared.set(name, blob)
+
+      if (limiter) await limiter.acquire()
+      await drive.del(path)
+
+      if (!blob) return 0
+      uncleared.delete(name)
+      return clearBlob(drive, path, blob, logger)
+    })
   )
+  // Summed afterwards: `+= await` in the parallel tasks would lose concurrent updates
+  for (const result of results) {
+    if (result.status === 'fulfilled') reclaimedBytes += result.value
+  }
+
+  const failed = new Map()
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') failed.set(sanitizedFiles[i], errorMessage(result.reason))
+  })
 
   const failures = results.filter((r) => r.status === 'rejected')
   if (failures.length > 0) {
-    console.warn(`[ephemeral] Failed to delete ${failures.length} files for ${id}`)
+    logger.warn(`Failed to delete ${failures.length} files`, { id })
     failures.forEach((failure) => {
       const failureIndex = results.indexOf(failure)
       if (failureIndex >= 0 && failureIndex < sanitizedFiles.length) {
         const fileName = sanitizedFiles[failureIndex]
-        console.warn(`[ephemeral] Failed to delete ${base}/${fileName}:`, failure.reason?.message || failure.reason)
+        logger.warn('Failed to delete file', { path: `${base}/${fileName}`, error: failure.reason })
       } else {
-        console.warn(`[ephemeral] Failed to delete file (index ${failureIndex}):`, failure.reason?.message || failure.reason)
+        logger.warn('Failed to delete file', { index: failureIndex, error: failure.reason })
       }
     })
   }
 
   if (drive.exists) {
-    await new Promise(resolve => setTimeout(resolve, 100))
+    if (verifyDelayMs > 0) await new Promise(resolve => setTimeout(resolve, verifyDelayMs))
 
     for (const name of sanitizedFiles) {
       try {
         const exists = await drive.exists(`${base}/${name}`)
         if (exists) {
           try {
+            if (limiter) await limiter.acquire()
             await drive.del(`${base}/${name}`)
-            await new Promise(resolve => setTimeout(resolve, 50))
+            if (uncleared.has(name)) {
+              reclaimedBytes += await clearBlob(drive, `${base}/${name}`, uncleared.get(name), logger)
+              uncleared.delete(name)
+            }
+            if (verifyDelayMs > 0) await new Promise(resolve => setTimeout(resolve, verifyDelayMs / 2))
             const stillExists = await drive.exists(`${base}/${name}`)
             if (stillExists) {
-              console.warn(`[ephemeral] File ${name} still exists after retry for ${id}`)
+              failed.set(name, 'still exists after retry')
+              logger.warn('File still exists after retry', { id, path: `${base}/${name}` })
+            } else {
+              failed.delete(name)
             }
           } catch (retryErr) {
-            console.warn(`[ephemeral] Retry deletion failed for ${base}/${name}:`, retryErr.message)
+            failed.set(name, errorMessage(retryErr))
+            logger.warn('Retry deletion failed', { path: `${base}/${name}`, error: retryErr })
           }
+        } else {
+          failed.delete(name)
         }
       } catch (err) {
-        console.warn(`[ephemeral] Could not verify deletion of ${base}/${name}:`, err.message)
+        logger.warn('Could not verify deletion', { path: `${base}/${name}`, error: err })
       }
     }
   }
+
+  return {
+    reclaimedBytes,
+    deleted: sanitizedFiles.filter((name) => !failed.has(name)).map((name) => `${base}/${name}`),
+    failed: [...failed].map(([name, error]) => ({ path: `${base}/${name}`, error })),
+  }
+}
+
+/**
+ * Deletes everything under a session directory when a meta expires.
+ *
+ * Files are enumerated recursively and filtered through the glob filter. The
+ * meta file is always handled separately and removed last, and only when
+ * every other deletion succeeded, so a partially deleted session is retried
+ * on the next GC pass instead of being orphaned.
+ *
+ * @param {Object} drive - Hyperdrive instance
+ * @param {string} prefix - Directory prefix
+ * @param {string} metaFile - Name of meta file
+ * @param {(path: string) => boolean} filter - Glob filter for paths relative to the session
+ * @param {EphemeralMeta} meta - Meta object that expired
+ * @param {DeleteOptions} opts - Delete options
+ * @returns {Promise<import('./gc.js').EphemeralExpireOutcome>} Reclaimed bytes, deleted paths, and failures with reasons
+ */
+async function deleteSessionFromHyperdrive(drive, prefix, metaFile, filter, meta, opts) {
+  const { logger } = opts
+
+  if (!validateMetaId(meta.id)) {
+    logger.warn('Invalid meta.id in deleteSessionFromHyperdrive', { id: meta.id })
+    return invalidIdOutcome()
+  }
+
+  const id = sanitizePathComponent(meta.id)
+  if (!id) return invalidIdOutcome()
+
+  const names = await listSessionFiles(drive, prefix, id, metaFile, filter)
+  const result = await deleteFilesFromHyperdrive(drive, prefix, names, meta, opts)
+  if (result.failed.length > 0) {
+    logger.warn(`Keeping ${metaFile} until all files are deleted`, { id })
+    return result
+  }
+
+  const metaResult = await deleteFilesFromHyperdrive(drive, prefix, [metaFile], meta, opts)
+  return {
+    reclaimedBytes: result.reclaimedBytes + metaResult.reclaimedBytes,
+    deleted: [...result.deleted, ...metaResult.deleted],
+    failed: metaResult.failed,
+  }
+}
+
+/**
+ * Lists the files under a session directory that pass the filter, excluding the meta file.
+ *
+ * @param {Object} drive - Hyperdrive instance
+ * @param {string} prefix - Directory prefix
+ * @param {string} id - Sanitized session ID
+ * @param {string} metaFile - Name of meta file
+ * @param {(path: string) => boolean} filter - Glob filter for paths relative to the session
+ * @returns {Promise<string[]>} Session-relative paths
+ */
+async function listSessionFiles(drive, prefix, id, metaFile, filter) {
+  const folder = normalizeFolder(`${prefix}/${id}`)
+  const names = []
+  if (typeof drive.list !== 'function') return names
+
+  for await (const entry of drive.list(folder, { recursive: true })) {
+    const name = entry.key.slice(folder.length + 1)
+    if (name === metaFile) continue
+    if (filter(name)) names.push(name)
+  }
+
+  return names
+}
+
+/**
+ * Computes which paths an expiry would remove and their sizes, without deleting.
+ *
+ * @param {Object} drive - Hyperdrive instance
+ * @param {string} prefix - Directory prefix
+ * @param {EphemeralMeta} meta - Meta object that would expire
+ * @param {(id: string) => Promise<string[]>} listNames - Session-relative paths the delete mode targets
+ * @returns {Promise<{ paths: { path: string, bytes: number }[], bytes: number }>} Existing paths with their byte sizes
+ */
+async function planExpireFromHyperdrive(drive, prefix, meta, listNames) {
+  const plan = { paths: [], bytes: 0 }
+
+  const id = validateMetaId(meta.id) ? sanitizePathComponent(meta.id) : null
+  if (!id) return plan
+
+  for (const name of await listNames(id)) {
+    if (sanitizeRelativePath(name) === null) continue
+
+    const path = `${prefix}/${id}/${name}`
+    const entry = typeof drive.entry === 'function'
+      ? await drive.entry(path)
+      : (await drive.get(path)) && { value: {} }
+    if (!entry) continue
+
+    const bytes = entry.value?.blob?.byteLength ?? 0
+    plan.paths.push({ path, bytes })
+    plan.bytes += bytes
+  }
+
+  return plan
+}
+
+/**
+ * Looks up the blob range of a file, if the drive stores one.
+ *
+ * @param {Object} drive - Hyperdrive instance
+ * @param {string} path - File path
+ * @returns {Promise<Object | null>} Blob id ({ blockOffset, blockLength, byteLength, ... }) or null
+ */
+async function getBlobOf(drive, path) {
+  if (typeof drive.entry !== 'function') return null
+  const entry = await drive.entry(path)
+  return entry?.value?.blob ?? null
+}
+
+/**
+ * Clears the blocks of a blob from local storage.
+ *
+ * Failures are logged and reported as zero bytes: the entry is already gone,
+ * so a failed clear must not mark the deletion itself as failed.
+ *
+ * @param {Object} drive - Hyperdrive instance
+ * @param {string} path - File path the blob belonged to (for logging)
+ * @param {Object} blob - Blob id from the file entry
+ * @param {import('./logger.js').EphemeralLogger} logger - Logger
+ * @returns {Promise<number>} Number of bytes cleared
+ */
+async function clearBlob(drive, path, blob, logger) {
+  if (!drive.blobs || typeof drive.blobs.clear !== 'function') return 0
+
+  try {
+    // clear({ diff: true }) does not report counts on every Hypercore version,
+    // so check up front whether the blob was stored locally at all
+    const core = drive.blobs.core
+    const local = core && blob.blockLength > 0
+      ? await core.has(blob.blockOffset, blob.blockOffset + blob.blockLength)
+      : false
+
+    await drive.blobs.clear(blob)
+    return local ? blob.byteLength : 0
+  } catch (err) {
+    logger.warn('Failed to clear blob', { path, error: err })
+    return 0
+  }
+}
+
+/**
+ * Outcome for an expiry that could not start because the meta.id is invalid.
+ *
+ * @returns {import('./gc.js').EphemeralExpireOutcome} Failed outcome
+ */
+function invalidIdOutcome() {
+  return { reclaimedBytes: 0, deleted: [], failed: [{ error: 'Invalid meta.id' }] }
+}
+
+/**
+ * Extracts a readable message from a rejection reason.
+ *
+ * @param {any} reason - Error or other thrown value
+ * @returns {string} Message
+ */
+function errorMessage(reason) {
+  return reason?.message || String(reason)
 }
 
 /**
@@ -0,0 +1,175 @@
+import { randomBytes } from 'node:crypto'
+import { link, mkdir, open, readFile, unlink, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { generateDataKey, KEY_BYTES } from './crypto.js'
+import { createKeyedMutex } from './mutex.js'
+
+/**
+ * @typedef {Object} EphemeralKeystore
+ * @property {(id: string) => Promise<Buffer | null>} getKey - Returns the session key, or null if missing or destroyed
+ * @property {(id: string) => Promise<Buffer>} getOrCreateKey - Returns the session key, creating it if needed
+ * @property {(id: string) => Promise<boolean>} destroyKey - Irrecoverably removes the session key; true if a key existed
+ */
+
+/**
+ * Validates a key ID (same rules as meta IDs).
+ *
+ * @param {any} id - ID to validate
+ * @returns {boolean} True if valid
+ */
+function validateKeyId(id) {
+  if (typeof id !== 'string') return false
+  if (id.length === 0 || id.length > 255) return false
+  return /^[a-zA-Z0-9_-]+$/.test(id)
+}
+
+/**
+ * Whether a key file holds the zeros destroyKey writes before unlinking, as
+ * left behind by a crash in between.
+ *
+ * @param {Buffer} key - Key file contents
+ * @returns {boolean} True if every byte is zero
+ */
+function isDestroyedKey(key) {
+  return key.every((byte) => byte === 0)
+}
+
+/**
+ * Creates a keystore that keeps one key file per session in a local directory.
+ *
+ * The directory must not be part of anything that is replicated: destroying
+ * a key is what makes expired content unreadable on every peer.
+ *
+ * @param {string} dir - Directory for key files
+ * @returns {EphemeralKeystore} Keystore with getKey, getOrCreateKey, and destroyKey
+ * @throws {Error} If dir is missing
+ */
+export function createFileKeystore(dir) {
+  if (typeof dir !== 'string' || dir.length === 0) {
+    throw new Error('[ephemeral] createFileKeystore: dir is required')
+  }
+
+  let ready = null
+  // Creating a key is check-then-create, so creations of one id are serialized
+  const mutex = createKeyedMutex()
+
+  function ensureDir() {
+    if (!ready) ready = mkdir(dir, { recursive: true, mode: 0o700 })
+    return ready
+  }
+
+  function keyPath(id) {
+    if (!validateKeyId(id)) throw new Error(`Invalid key id: ${id}`)
+    return join(dir, `${id}.key`)
+  }
+
+  async function getKey(id) {
+    try {
+      const key = await readFile(keyPath(id))
+      return key.length === KEY_BYTES && !isDestroyedKey(key) ? key : null
+    } catch (err) {
+      if (err.code === 'ENOENT') return null
+      throw err
+    }
+  }
+
+  async function getOrCreateKey(id) {
+    const path = keyPath(id)
+    return mutex.run(id, async () => {
+      const existing = await getKey(id)
+      if (existing) return existing
+      await finishDestroy(path)
+
+      await ensureDir()
+      const tmp = `${path}.${randomBytes(8).toString('hex')}.tmp`
+      const key = generateDataKey()
+
+      // link() never replaces an existing file, so another process that created
+      // the key first wins and its key is used instead of ours
+      await writeFile(tmp, key, { mode: 0o600, flag: 'wx' })
+      try {
+        await link(tmp, path)
+        return key
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err
+        const winner = await getKey(id)
+        if (!winner) throw new Error(`[ephemeral] Key file for "${id}" is corrupt`, { cause: err })
+        return winner
+      } finally {
+        await unlink(tmp)
+      }
+    })
+  }
+
+  // A crash during destroyKey can leave a zeroed key file behind, which would
+  // otherwise block creating a new key for the id
+  async function finishDestroy(path) {
+    let key
+    try {
+      key = await readFile(path)
+    } catch (err) {
+      if (err.code === 'ENOENT') return
+      throw err
+    }
+    if (key.length === KEY_BYTES && isDestroyedKey(key)) await unlink(path)
+  }
+
+  async function destroyKey(id) {
+    const path = keyPath(id)
+    let fh
+
+    try {
+      fh = await open(path, 'r+')
+    } catch (err) {
+      if (err.code === 'ENOENT') return false
+      throw err
+    }
+
+    // Overwrite before unlinking so the key does not linger in freed blocks
+    try {
+      await fh.write(Buffer.alloc(KEY_BYTES), 0, KEY_BYTES, 0)
+      await fh.sync()
+    } finally {
+      await fh.close()
+    }
+
+    await unlink(path)
+    return true
+  }
+
+  return { getKey, getOrCreateKey, destroyKey }
+}
+
+/**
+ * Creates an in-memory keystore. Keys are lost when the process exits, which
+ * makes every session unreadable after a restart.
+ *
+ * @returns {EphemeralKeystore} Keystore with getKey, getOrCreateKey, and destroyKey
+ */
+export function createMemoryKeystore() {
+  const keys = new Map()
+
+  function check(id) {
+    if (!validateKeyId(id)) throw new Error(`Invalid key id: ${id}`)
+  }
+
+  return {
+    async getKey(id) {
+      check(id)
+      return keys.get(id) ?? null
+    },
+    async getOrCreateKey(id) {
+      check(id)
+      if (!keys.has(id)) keys.set(id, generateDataKey())
+      return keys.get(id)
+    },
+    async destroyKey(id) {
+      check(id)
+      const key = keys.get(id)
+      if (!key) return false
+      key.fill(0)
+      keys.delete(id)
+      return true
+    },
+  }
+}
@@ -0,0 +1,71 @@
+const LEVELS = ['debug', 'info', 'warn', 'error']
+
+/**
+ * @typedef {Object} EphemeralLogger
+ * @property {(msg: string, fields?: Object) => void} debug
+ * @property {(msg: string, fields?: Object) => void} info
+ * @property {(msg: string, fields?: Object) => void} warn
+ * @property {(msg: string, fields?: Object) => void} error
+ */
+
+/**
+ * Creates the default logger, which writes to the console with an
+ * `[ephemeral]` prefix and passes structured fields as a trailing object.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {'debug' | 'info' | 'warn' | 'error'} [options.level='info'] - Minimum level to print
+ * @returns {EphemeralLogger} Console logger
+ * @throws {Error} If level is unknown
+ */
+export function createConsoleLogger(options = {}) {
+  const level = options.level ?? 'info'
+  const min = LEVELS.indexOf(level)
+  if (min === -1) {
+    throw new Error(`[ephemeral] createConsoleLogger: unknown level "${level}"`)
+  }
+
+  const logger = {}
+  for (const [i, name] of LEVELS.entries()) {
+    logger[name] = i < min
+      ? noop
+      : (msg, fields) => {
+          const args = [`[ephemeral] ${msg}`]
+          if (fields && Object.keys(fields).length > 0) args.push(fields)
+          console[name](...args)
+        }
+  }
+  return logger
+}
+
+/**
+ * Creates a logger that discards everything.
+ *
+ * @returns {EphemeralLogger} Silent logger
+ */
+export function createSilentLogger() {
+  return { debug: noop, info: noop, warn: noop, error: noop }
+}
+
+/**
+ * Resolves a user-supplied logger, falling back to the console logger and
+ * filling in missing levels with no-ops. Methods are called with the logger
+ * as `this`, so `console` and most logging libraries can be passed directly.
+ *
+ * @param {Partial<EphemeralLogger>} [logger] - Logger to resolve
+ * @returns {EphemeralLogger} Logger with every level defined
+ * @throws {Error} If logger is not an object
+ */
+export function resolveLogger(logger) {
+  if (logger === undefined || logger === null) return createConsoleLogger()
+  if (typeof logger !== 'object') {
+    throw new Error('[ephemeral] logger must be an object with debug/info/warn/error methods')
+  }
+
+  const resolved = {}
+  for (const name of LEVELS) {
+    resolved[name] = typeof logger[name] === 'function' ? logger[name].bind(logger) : noop
+  }
+  return resolved
+}
+
+function noop() { }
@@ -5,6 +5,22 @@
  * @property {number} updatedAt - Last update timestamp
  * @property {number} [unlockAt] - Optional unlock timestamp
  * @property {number} [expiresAt] - Optional expiration timestamp
+ * @property {number} [idleTtlMs] - Expire this long after the last access (sliding expiration)
+ * @property {number} [lastAccessAt] - Last access, bumped by touch (falls back to updatedAt, then createdAt)
+ * @property {number} [maxLifetimeMs] - Expire this long after createdAt, however recently accessed
+ * @property {number} [maxReads] - Expire once content has been read this many times
+ * @property {number} [reads] - Reads so far, counted by the adapter's read()
+ * @property {number} [unlockNotifiedAt] - When onUnlock was fired for this meta (set by GC)
+ * @property {{ expiresAt: number, leadMs: number[] }} [expiringSoonNotified] - Lead times onExpiringSoon was fired for, and the expiresAt they were relative to (set by GC)
+ * @property {{ expiredAt: number, reason: string }} [tombstone] - Set by GC when the meta expired and its data awaits purging
+ * @property {EphemeralHold[]} [holds] - Holds that suspend expiry while active
+ */
+
+/**
+ * @typedef {Object} EphemeralHold
+ * @property {string} reason - Why the session is held (e.g. an investigation reference)
+ * @property {string} holder - Who placed the hold
+ * @property {number} [until] - When the hold lapses by itself; held until released if omitted
  */
 
 const MAX_TIMESTAMP = Date.now() + 100 * 365 * 24 * 60 * 60 * 1000
@@ -26,7 +42,45 @@ function validateTimestamp(ts, fieldName, min = 0, max = MAX_TIMESTAMP) {
 }
 
 /**
- * Checks if a meta object has expired based on its expiresAt timestamp.
+ * Returns when a meta expires: the earliest of its expiresAt, its last access
+ * plus idleTtlMs, and its createdAt plus maxLifetimeMs.
+ *
+ * @param {EphemeralMeta | null} meta - The meta object
+ * @returns {number | undefined} Effective expiration timestamp, or undefined if it never expires
+ */
+export function getExpiresAt(meta) {
+  if (!meta) return undefined
+
+  const candidates = []
+  if (validateTimestamp(meta.expiresAt, 'expiresAt')) candidates.push(meta.expiresAt)
+
+  if (isDuration(meta.idleTtlMs)) {
+    const lastAccessAt = [meta.lastAccessAt, meta.updatedAt, meta.createdAt]
+      .find((ts) => validateTimestamp(ts, 'lastAccessAt'))
+    if (lastAccessAt !== undefined) candidates.push(lastAccessAt + meta.idleTtlMs)
+  }
+  if (isDuration(meta.maxLifetimeMs) && validateTimestamp(meta.createdAt, 'createdAt')) {
+    candidates.push(meta.createdAt + meta.maxLifetimeMs)
+  }
+
+  return candidates.length > 0 ? Math.min(...candidates) : undefined
+}
+
+/**
+ * Checks that a value is a positive, finite duration.
+ *
+ * @param {any} ms - Value to check
+ * @returns {boolean} True if valid
+ */
+function isDuration(ms) {
+  return typeof ms === 'number' && isFinite(ms) && ms > 0
+}
+
+/**
+ * Checks if a meta object has expired based on its effective expiry (see
+ * getExpiresAt) and its read count. A tombstoned meta is always expired,
+ * whatever its expiresAt says, and a meta under an active hold never is (see
+ * isOverdue).
  *
  * @param {EphemeralMeta | null} meta - The meta object to check
  * @param {number} now - Current timestamp
@@ -38,25 +92,67 @@ export function isExpired(meta, now) {
   if (typeof now !== 'number' || !isFinite(now)) {
     throw new Error('[ephemeral] isExpired: now is required and must be finite')
   }
-  if (typeof meta.expiresAt !== 'number') return false
+  return hasLapsed(meta, now) && !isHeld(meta, now)
+}
 
-  if (!validateTimestamp(meta.expiresAt, 'expiresAt')) {
-    return false
+/**
+ * Checks if a meta object has at least one active hold.
+ *
+ * @param {EphemeralMeta | null} meta - The meta object to check
+ * @param {number} now - Current timestamp
+ * @returns {boolean} True if held
+ */
+export function isHeld(meta, now) {
+  if (!meta || !Array.isArray(meta.holds)) return false
+  return meta.holds.some((hold) => hold && (typeof hold.until !== 'number' || hold.until > now))
+}
+
+/**
+ * Checks if a meta object would have expired if it were not held.
+ *
+ * @param {EphemeralMeta | null} meta - The meta object to check
+ * @param {number} now - Current timestamp
+ * @returns {boolean} True if held past its expiry
+ * @throws {Error} If now is not a finite number
+ */
+export function isOverdue(meta, now) {
+  if (!meta) return false
+  if (typeof now !== 'number' || !isFinite(now)) {
+    throw new Error('[ephemeral] isOverdue: now is required and must be finite')
   }
+  return hasLapsed(meta, now) && isHeld(meta, now)
+}
 
-  return meta.expiresAt <= now
+/**
+ * Checks if a meta object is tombstoned, past its expiry or out of reads,
+ * ignoring holds.
+ *
+ * @param {EphemeralMeta} meta - The meta object to check
+ * @param {number} now - Current timestamp
+ * @returns {boolean} True if lapsed
+ */
+function hasLapsed(meta, now) {
+  if (meta.tombstone) return true
+  if (typeof meta.maxReads === 'number' && (meta.reads ?? 0) >= meta.maxReads) return true
+
+  const expiresAt = getExpiresAt(meta)
+  return expiresAt !== undefined && expiresAt <= now
 }
 
 /**
  * Checks if a meta object is unlocked based on its unlockAt timestamp.
  *
+ * `now` may be a time interval (see createTrustedTime), in which case even
+ * its earliest plausible time has to be past unlockAt.
+ *
  * @param {EphemeralMeta | null} meta - The meta object to check
- * @param {number} now - Current timestamp
+ * @param {number | { earliest: number, latest: number }} now - Current timestamp, or interval
  * @returns {boolean} True if unlocked, false otherwise
- * @throws {Error} If now is not a finite number
+ * @throws {Error} If now is not a finite number or an interval of finite numbers
  */
 export function isUnlocked(meta, now) {
   if (!meta) return false
+  if (typeof now === 'object' && now !== null) now = now.earliest
   if (typeof now !== 'number' || !isFinite(now)) {
     throw new Error('[ephemeral] isUnlocked: now is required and must be finite')
   }
@@ -70,12 +166,111 @@ export function isUnlocked(meta, now) {
 }
 
 /**
- * Checks if a meta object is visible (unlocked and not expired).
+ * Checks if a meta object is visible (unlocked and not expired). A held meta
+ * past its expiry is preserved, not shown, so it is not visible either.
+ *
+ * With a time interval for `now`, the meta has to be visible for every time
+ * in it: unlocked at the earliest and not expired at the latest.
  *
  * @param {EphemeralMeta | null} meta - The meta object to check
- * @param {number} now - Current timestamp
+ * @param {number | { earliest: number, latest: number }} now - Current timestamp, or interval
  * @returns {boolean} True if visible, false otherwise
  */
 export function isVisible(meta, now) {
-  return isUnlocked(meta, now) && !isExpired(meta, now)
+  const latest = typeof now === 'object' && now !== null ? now.latest : now
+  return isUnlocked(meta, now) && !isExpired(meta, latest) && !isOverdue(meta, latest)
+}
+
+/**
+ * Checks if the unlock of a meta still has to be announced through onUnlock:
+ * it has an unlockAt that has passed and has not been notified yet. Like
+ * expiring-soon warnings, the announcement waits while the meta is held.
+ *
+ * @param {EphemeralMeta | null} meta - The meta object to check
+ * @param {number} now - Current timestamp
+ * @returns {boolean} True if onUnlock should fire
+ */
+export function isUnlockPending(meta, now) {
+  if (!meta || typeof meta.unlockAt !== 'number') return false
+  if (meta.unlockNotifiedAt !== undefined || isHeld(meta, now)) return false
+  return isVisible(meta, now)
+}
+
+/**
+ * Returns the lead time onExpiringSoon should be fired with for a meta, if
+ * any: the shortest of `leadMs` that has been reached and not notified yet.
+ *
+ * Notifications are remembered per expiresAt, so moving expiresAt makes every
+ * lead time due again.
+ *
+ * @param {EphemeralMeta | null} meta - The meta object to check
+ * @param {number} now - Current timestamp
+ * @param {number[]} leadMs - Lead times before expiresAt, in milliseconds
+ * @returns {number | undefined} Lead time to announce, or undefined if none is due
+ */
+export function getExpiringSoonLead(meta, now, leadMs) {
+  const expiresAt = getExpiresAt(meta)
+  if (expiresAt === undefined) return undefined
+  if (isExpired(meta, now) || isHeld(meta, now)) return undefined
+
+  const notified = getNotifiedLeads(meta)
+  const due = leadMs.filter((lead) => expiresAt - lead <= now && !notified.includes(lead))
+
+  return due.length > 0 ? Math.min(...due) : undefined
+}
+
+/**
+ * Returns the next timestamp at which GC has to act on a meta: its expiry or,
+ * with `options.unlock`, its not yet notified unlock or, with `options.leadMs`,
+ * its next expiring-soon warning, whichever comes first. For a tombstoned meta
+ * it is the end of its grace period. Holds push every deadline back to when
+ * the last of them lapses, so an overdue held meta is not due over and over.
+ *
+ * @param {EphemeralMeta | null} meta - The meta object
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.unlock=false] - Consider pending unlock notifications
+ * @param {number[]} [options.leadMs] - Consider pending expiring-soon warnings at these lead times
+ * @param {number} [options.graceMs=0] - Time a tombstoned meta is kept before it is purged
+ * @returns {number | undefined} Deadline, or undefined if GC never has to act
+ */
+export function getNextDeadline(meta, options = {}) {
+  if (!meta) return undefined
+
+  const deadlines = []
+  const expiresAt = getExpiresAt(meta)
+  if (meta.tombstone) {
+    deadlines.push(meta.tombstone.expiredAt + (options.graceMs ?? 0))
+  } else if (expiresAt !== undefined) {
+    deadlines.push(expiresAt)
+
+    const notified = getNotifiedLeads(meta)
+    for (const lead of options.leadMs ?? []) {
+      if (!notified.includes(lead)) deadlines.push(expiresAt - lead)
+    }
+  }
+  if (!meta.tombstone && options.unlock && typeof meta.unlockAt === 'number' && isFinite(meta.unlockAt) &&
+      meta.unlockNotifiedAt === undefined) {
+    deadlines.push(meta.unlockAt)
+  }
+
+  // Lapsed holds end in the past, so they never push a deadline back
+  const holds = Array.isArray(meta.holds) ? meta.holds.filter(Boolean) : []
+  const heldUntil = holds.length > 0
+    ? Math.max(...holds.map((hold) => typeof hold.until === 'number' ? hold.until : Infinity))
+    : -Infinity
+  const due = deadlines.map((deadline) => Math.max(deadline, heldUntil)).filter(isFinite)
+
+  return due.length > 0 ? Math.min(...due) : undefined
+}
+
+/**
+ * Returns the lead times already announced for the current effective expiry of a meta.
+ *
+ * @param {EphemeralMeta} meta - The meta object
+ * @returns {number[]} Notified lead times
+ */
+function getNotifiedLeads(meta) {
+  const notified = meta.expiringSoonNotified
+  if (!notified || notified.expiresAt !== getExpiresAt(meta) || !Array.isArray(notified.leadMs)) return []
+  return notified.leadMs
 }
@@ -0,0 +1,34 @@
+/**
+ * @typedef {Object} KeyedMutex
+ * @property {<T>(key: string, fn: () => Promise<T> | T) => Promise<T>} run - Run fn once every earlier fn for the same key has settled
+ */
+
+/**
+ * Creates a mutex keyed by string: operations on the same key run one at a
+ * time, in call order, while operations on different keys run in parallel.
+ *
+ * Keys are forgotten once their last operation settles, so the mutex does not
+ * grow with the number of keys it has seen.
+ *
+ * @returns {KeyedMutex} Mutex with a run method
+ */
+export function createKeyedMutex() {
+  const tails = new Map()
+
+  async function run(key, fn) {
+    const previous = tails.get(key) ?? Promise.resolve()
+    let release
+    const tail = previous.then(() => new Promise(resolve => { release = resolve }))
+    tails.set(key, tail)
+
+    await previous
+    try {
+      return await fn()
+    } finally {
+      release()
+      if (tails.get(key) === tail) tails.delete(key)
+    }
+  }
+
+  return { run }
+}
@@ -0,0 +1,42 @@
+/**
+ * Creates a rate limiter that lets at most `ratePerSecond` operations through
+ * per second, with bursts of up to `burst` operations.
+ *
+ * Callers are admitted in the order they call acquire(), each one reserving
+ * the next free slot, so there is no queue to drain or timer to cancel.
+ *
+ * @param {number} ratePerSecond - Sustained operations per second
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.burst=1] - Operations allowed back to back before pacing starts
+ * @param {() => number} [options.nowFn] - Clock in milliseconds (defaults to performance.now())
+ * @returns {{ acquire: () => Promise<void> }} Limiter
+ * @throws {Error} If ratePerSecond or burst is not a positive number
+ */
+export function createRateLimiter(ratePerSecond, options = {}) {
+  const burst = options.burst ?? 1
+  const nowFn = options.nowFn ?? (() => performance.now())
+
+  if (typeof ratePerSecond !== 'number' || !(ratePerSecond > 0)) {
+    throw new Error('[ephemeral] createRateLimiter: ratePerSecond must be a positive number')
+  }
+  if (!Number.isInteger(burst) || burst < 1) {
+    throw new Error('[ephemeral] createRateLimiter: burst must be a positive integer')
+  }
+
+  const intervalMs = 1000 / ratePerSecond
+  // Theoretical time at which the next operation would be admitted without a burst
+  let nextAt = -Infinity
+
+  async function acquire() {
+    const now = nowFn()
+    nextAt = Math.max(nextAt, now)
+
+    const allowedAt = nextAt - (burst - 1) * intervalMs
+    nextAt += intervalMs
+
+    const waitMs = allowedAt - now
+    if (waitMs > 0) await new Promise(resolve => setTimeout(resolve, waitMs))
+  }
+
+  return { acquire }
+}
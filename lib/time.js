@@ -1,30 +1,190 @@
+import { createPrivateKey, createPublicKey, KeyObject, randomBytes, sign, verify } from 'node:crypto'
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises'
+import { dirname } from 'node:path'
+import { resolveLogger } from './logger.js'
+
+const ROUGHTIME_CONTEXT = Buffer.from('hyperfade-roughtime-v1\0', 'utf-8')
+const ROUGHTIME_NONCE_BYTES = 32
+// Event loop turns a manual clock waits after each timer it fires
+const SETTLE_TURNS = 10
+// Drive writes are kept and replicated forever, so the drive floor saves far less often
+const DRIVE_FLOOR_PERSIST_INTERVAL_MS = 10 * 60_000
+
+/**
+ * @typedef {Object} EphemeralClockFloor
+ * @property {() => Promise<number | null>} load - Highest time stored so far, or null if none was stored yet
+ * @property {(ts: number) => Promise<void>} save - Store a new highest time
+ * @property {number} [persistIntervalMs] - Default for createPersistedMonotonicNow's persistIntervalMs, for floors where a save is costly
+ */
+
+/**
+ * @typedef {Object} EphemeralTimeSample
+ * @property {number} time - Best estimate of the current time
+ * @property {number} uncertaintyMs - The true time is within time ± uncertaintyMs
+ */
+
+/**
+ * @typedef {Object} EphemeralTimeSource
+ * @property {string} name - Name used in reports and logs
+ * @property {() => Promise<EphemeralTimeSample>} sample - Reads the source
+ */
+
+/**
+ * @typedef {Object} EphemeralTimeInterval
+ * @property {number} time - Best estimate of the current time
+ * @property {number} earliest - Earliest plausible current time
+ * @property {number} latest - Latest plausible current time
+ */
+
+/**
+ * @typedef {Object} EphemeralRoughtimeRequest
+ * @property {string} nonce - Base64 of 32 random bytes, echoed in the signature
+ */
+
+/**
+ * @typedef {Object} EphemeralRoughtimeResponse
+ * @property {number} midpoint - Server time, in milliseconds since the epoch
+ * @property {number} radius - The server's own uncertainty, in milliseconds
+ * @property {string} signature - Base64 Ed25519 signature over the nonce, midpoint and radius
+ */
+
+/**
+ * @typedef {Object} EphemeralClockAnomaly
+ * @property {'backward' | 'forward'} type - Which way the wall clock jumped
+ * @property {number} wall - Wall-clock reading that was rejected
+ * @property {number} value - Clock value returned instead
+ * @property {number} deltaMs - How far the wall clock was off the clock (negative when behind)
+ * @property {number | null} endedAt - Clock value when the wall clock was back in range (null while ongoing)
+ */
+
+/**
+ * @typedef {Object} EphemeralClock
+ * @property {() => number} now - Current timestamp, never going backwards
+ * @property {() => EphemeralClockAnomaly[]} anomalies - Recent anomalies, oldest first
+ * @property {boolean} trusted - False while an anomaly is ongoing or after a re-anchor, as of the last now() call
+ */
+
 /**
  * Creates a monotonic "now" provider that never goes backwards.
  *
+ * Forward jumps are measured against the real time elapsed since the previous
+ * reading (`performance.now()`), so a long-running process keeps following the
+ * wall clock. When the wall clock moves ahead by more than the elapsed time
+ * plus `maxForwardMs`, the clock advances by the elapsed time only, and the
+ * jump is logged once.
+ *
+ * `performance.now()` stops while the machine is suspended, so waking up
+ * after a long sleep looks like such a jump. With `reanchorAfterMs` set, once
+ * the wall clock has kept the same lead (within `maxBackwardsMs`) for that
+ * long, the clock follows the wall clock again. A wall clock that was set
+ * ahead and left there looks the same, so re-anchoring is off by default.
+ *
  * @param {Object} [options] - Options
  * @param {number} [options.maxBackwardsMs=1000] - Tolerance for backward clock jumps
- * @param {number} [options.maxForwardMs=3600000] - Maximum forward jump allowed (default: 1 hour)
+ * @param {number} [options.maxForwardMs=3600000] - How far the wall clock may run ahead of the elapsed time between two readings (default: 1 hour)
+ * @param {number} [options.reanchorAfterMs=Infinity] - How long the wall clock has to keep a steady lead after a forward jump before it is followed again (default: never)
+ * @param {number} [options.floor] - Lowest time the clock may return, e.g. the highest time seen before a restart
+ * @param {import('./logger.js').EphemeralLogger} [options.logger] - Logger (defaults to the console logger)
  * @returns {() => number} Clock function that returns current timestamp
  */
 export function createMonotonicNow(options = {}) {
+  return createMonotonicClock(options).now
+}
+
+/**
+ * Creates a monotonic clock that reports when it stops following the wall
+ * clock.
+ *
+ * It returns the same values as createMonotonicNow, and also records each
+ * backward jump beyond `maxBackwardsMs` and each forward jump beyond
+ * `maxForwardMs` as an anomaly. An anomaly lasts until the wall clock is back
+ * in range; meanwhile `trusted` is false, so callers can refuse to act on the
+ * clamped value (see runEphemeralGC's `requireTrustedClock`). A forward jump
+ * the clock re-anchored to stays open, and `trusted` stays false for the rest
+ * of the clock's life.
+ *
+ * @param {Object} [options] - Options, as for createMonotonicNow, plus:
+ * @param {(anomaly: EphemeralClockAnomaly) => void} [options.onAnomaly] - Called when an anomaly starts
+ * @param {number} [options.maxAnomalies=100] - Anomalies kept in the history
+ * @returns {EphemeralClock} Clock with now, anomalies, and trusted
+ */
+export function createMonotonicClock(options = {}) {
   const maxBackwardsMs = options.maxBackwardsMs ?? 1000
   const maxForwardMs = options.maxForwardMs ?? 60 * 60 * 1000
-  let last = Date.now()
-  const startTime = last
+  const reanchorAfterMs = options.reanchorAfterMs ?? Infinity
+  const maxAnomalies = options.maxAnomalies ?? 100
+  const logger = resolveLogger(options.logger)
+  const history = []
+  let last = Math.max(Date.now(), options.floor ?? -Infinity)
+  let lastElapsed = performance.now()
+  let ongoing = null
+  // Lead of the wall clock over the clock during a forward jump, and since when it has held
+  let lead = null
+  // Set once the clock has followed a forward jump, which may have been a tampered clock
+  let reanchored = false
+
+  function begin(type, wall, value, deltaMs) {
+    if (ongoing?.type === type) return
+    if (ongoing) ongoing.endedAt = value
+
+    ongoing = { type, wall, value, deltaMs, endedAt: null }
+    history.push(ongoing)
+    if (history.length > maxAnomalies) history.shift()
+
+    if (options.onAnomaly) {
+      try {
+        options.onAnomaly({ ...ongoing })
+      } catch (err) {
+        logger.warn('onAnomaly failed', { error: err })
+      }
+    }
+  }
+
+  /**
+   * Tracks the wall clock's lead during a forward jump.
+   *
+   * @param {number} deltaMs - How far the wall clock is ahead of the clock
+   * @returns {boolean} True once the lead has held for reanchorAfterMs, as after a suspend
+   */
+  function isSteadyLead(deltaMs) {
+    if (ongoing?.type !== 'forward' || !lead || Math.abs(deltaMs - lead.deltaMs) > maxBackwardsMs) {
+      lead = { deltaMs, since: lastElapsed }
+      return false
+    }
+    if (lastElapsed - lead.since < reanchorAfterMs) return false
+
+    logger.warn('Following the wall clock again after a steady forward jump', { deltaMs, reanchorAfterMs })
+    return true
+  }
 
-  return function now() {
+  function now() {
     const current = Date.now()
+    // Whole milliseconds only, carrying the remainder, so clamped readings stay integers
+    const elapsed = Math.max(0, Math.floor(performance.now() - lastElapsed))
+    const expected = last + elapsed
+    lastElapsed += elapsed
 
-    if (current > startTime + maxForwardMs) {
-      console.warn('[ephemeral] Suspicious clock forward jump detected')
-      last = Math.min(current, startTime + maxForwardMs)
-      return last
+    if (current > expected + maxForwardMs) {
+      if (!isSteadyLead(current - expected)) {
+        if (ongoing?.type !== 'forward') logger.warn('Suspicious clock forward jump detected', { current, expected, maxForwardMs })
+        last = expected
+        begin('forward', current, last, current - expected)
+        return last
+      }
+      reanchored = true
     }
+    lead = null
 
     if (current + maxBackwardsMs < last) {
+      begin('backward', current, last, current - last)
       return last
     }
 
+    if (ongoing && !(reanchored && ongoing.type === 'forward')) {
+      ongoing.endedAt = Math.max(current, last)
+      ongoing = null
+    }
+
     if (current >= last) {
       last = current
       return last
@@ -32,4 +192,672 @@ export function createMonotonicNow(options = {}) {
 
     return last
   }
+
+  return {
+    now,
+    anomalies: () => history.map((anomaly) => ({ ...anomaly })),
+    get trusted() {
+      return ongoing === null && !reanchored
+    },
+  }
+}
+
+/**
+ * Creates a monotonic clock whose floor survives restarts.
+ *
+ * The highest time returned is saved to `floor` at most every
+ * `persistIntervalMs`, and the clock starts from the stored value, so rolling
+ * the system clock back while the process is down cannot re-lock unlocked
+ * content or push expiry further away. A wall clock behind the stored floor
+ * is reported through the logger.
+ *
+ * Saves run in the background; call `now.flush()` before exiting to store the
+ * latest value.
+ *
+ * @param {EphemeralClockFloor} floor - Where the floor is stored (see createFileClockFloor, createDriveClockFloor)
+ * @param {Object} [options={}] - Options, plus those of createMonotonicNow
+ * @param {number} [options.persistIntervalMs] - Minimum clock advance between two saves (default: floor.persistIntervalMs, or 1000)
+ * @param {import('./logger.js').EphemeralLogger} [options.logger] - Logger (defaults to the console logger)
+ * @returns {Promise<(() => number) & { flush: () => Promise<void> }>} Clock function with a flush method
+ * @throws {Error} If floor is missing or persistIntervalMs is invalid
+ */
+export async function createPersistedMonotonicNow(floor, options = {}) {
+  if (!floor || typeof floor.load !== 'function' || typeof floor.save !== 'function') {
+    throw new Error('[ephemeral] createPersistedMonotonicNow: floor is required')
+  }
+
+  const persistIntervalMs = options.persistIntervalMs ?? floor.persistIntervalMs ?? 1000
+  if (typeof persistIntervalMs !== 'number' || !(persistIntervalMs >= 0)) {
+    throw new Error('[ephemeral] createPersistedMonotonicNow: persistIntervalMs must be a non-negative number')
+  }
+
+  const logger = resolveLogger(options.logger)
+  const maxBackwardsMs = options.maxBackwardsMs ?? 1000
+  const stored = await floor.load()
+
+  const wall = Date.now()
+  if (stored !== null && wall + maxBackwardsMs < stored) {
+    logger.warn('Wall clock is behind the persisted clock floor', { wall, floor: stored })
+  }
+
+  const base = createMonotonicNow({ ...options, logger, floor: stored ?? undefined })
+  let attempted = -Infinity
+  let pending = null
+  let saving = null
+
+  function schedule(value) {
+    attempted = value
+    pending = value
+    if (!saving) saving = drain()
+  }
+
+  async function drain() {
+    try {
+      while (pending !== null) {
+        const value = pending
+        pending = null
+        try {
+          await floor.save(value)
+        } catch (err) {
+          logger.error('Failed to persist clock floor', { error: err })
+        }
+      }
+    } finally {
+      saving = null
+    }
+  }
+
+  function now() {
+    const value = base()
+    if (value - attempted >= persistIntervalMs) schedule(value)
+    return value
+  }
+
+  async function flush() {
+    schedule(base())
+    await saving
+  }
+
+  // Store the startup time right away, so a restart soon after still has a floor
+  await flush()
+
+  return Object.assign(now, { flush })
+}
+
+/**
+ * Creates a clock floor kept in a local file. Writes go to a temporary file
+ * that is renamed over the old one, so a crash never leaves a torn value.
+ *
+ * @param {string} path - File to store the floor in
+ * @returns {EphemeralClockFloor} Floor with load and save methods
+ * @throws {Error} If path is missing
+ */
+export function createFileClockFloor(path) {
+  if (typeof path !== 'string' || path.length === 0) {
+    throw new Error('[ephemeral] createFileClockFloor: path is required')
+  }
+
+  let ready = null
+
+  async function load() {
+    let raw
+    try {
+      raw = await readFile(path, 'utf-8')
+    } catch (err) {
+      if (err.code === 'ENOENT') return null
+      throw err
+    }
+    return parseFloor(raw)
+  }
+
+  async function save(ts) {
+    if (!ready) ready = mkdir(dirname(path), { recursive: true })
+    await ready
+
+    const tmp = `${path}.${process.pid}.tmp`
+    await writeFile(tmp, JSON.stringify({ floor: ts }))
+    await rename(tmp, path)
+  }
+
+  return { load, save }
+}
+
+/**
+ * Creates a clock floor kept in a Hyperdrive. Every save is a single
+ * drive.put, which Hyperdrive applies atomically.
+ *
+ * The drive is append-only and replicated, so every save is a block that
+ * stays in its history and is sent to every peer. The floor therefore asks
+ * for a save every 10 minutes instead of every second, which means a crash
+ * without `flush()` can lose up to that much of the floor. Prefer
+ * createFileClockFloor unless the floor has to travel with the drive.
+ *
+ * @param {Object} drive - Hyperdrive instance
+ * @param {string} [path='/.hyperfade/clock-floor.json'] - Drive path of the floor
+ * @returns {EphemeralClockFloor} Floor with load and save methods
+ * @throws {Error} If drive is missing
+ */
+export function createDriveClockFloor(drive, path = '/.hyperfade/clock-floor.json') {
+  if (!drive || typeof drive.put !== 'function') {
+    throw new Error('[ephemeral] createDriveClockFloor: drive is required')
+  }
+
+  return {
+    persistIntervalMs: DRIVE_FLOOR_PERSIST_INTERVAL_MS,
+    async load() {
+      const buf = await drive.get(path)
+      return buf ? parseFloor(buf.toString('utf-8')) : null
+    },
+    async save(ts) {
+      await drive.put(path, Buffer.from(JSON.stringify({ floor: ts })))
+    },
+  }
+}
+
+/**
+ * Creates a time source that reads a local clock.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {() => number} [options.nowFn] - Clock to read (defaults to createMonotonicNow())
+ * @param {number} [options.uncertaintyMs=0] - Uncertainty attributed to the clock
+ * @param {string} [options.name='local'] - Source name
+ * @param {import('./logger.js').EphemeralLogger} [options.logger] - Logger for the default clock
+ * @returns {EphemeralTimeSource} Time source
+ */
+export function createLocalTimeSource(options = {}) {
+  const nowFn = options.nowFn ?? createMonotonicNow({ logger: options.logger })
+  const uncertaintyMs = options.uncertaintyMs ?? 0
+
+  return {
+    name: options.name ?? 'local',
+    async sample() {
+      return { time: nowFn(), uncertaintyMs }
+    },
+  }
+}
+
+/**
+ * Creates a time source that asks a peer for its clock. Peer answers are not
+ * signed; the round trip is added to the uncertainty.
+ *
+ * @param {() => Promise<number>} getTime - Asks the peer for its current time
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.uncertaintyMs=0] - Uncertainty attributed to the peer's clock
+ * @param {string} [options.name='peer'] - Source name
+ * @returns {EphemeralTimeSource} Time source
+ * @throws {Error} If getTime is not a function
+ */
+export function createPeerTimeSource(getTime, options = {}) {
+  if (typeof getTime !== 'function') {
+    throw new Error('[ephemeral] createPeerTimeSource: getTime is required')
+  }
+
+  const uncertaintyMs = options.uncertaintyMs ?? 0
+
+  return {
+    name: options.name ?? 'peer',
+    async sample() {
+      const sentAt = performance.now()
+      const time = await getTime()
+      const rtt = performance.now() - sentAt
+      if (typeof time !== 'number' || !isFinite(time)) {
+        throw new Error('[ephemeral] Peer returned an invalid time')
+      }
+      return { time: time + rtt / 2, uncertaintyMs: uncertaintyMs + rtt / 2 }
+    },
+  }
+}
+
+/**
+ * Creates a time source that queries a Roughtime-style server.
+ *
+ * Each query sends a fresh random nonce and checks that the server signed it
+ * together with its time, so answers cannot be replayed or forged without the
+ * server's Ed25519 key. The server's time was read somewhere within the round
+ * trip, so half of the round trip is added to its radius.
+ *
+ * The transport carries a request to the server and resolves with its
+ * response; tests can pass a createRoughtimeResponder() directly.
+ *
+ * @param {Object} options - Options
+ * @param {import('node:crypto').KeyObject | string | Buffer} options.publicKey - Server's Ed25519 public key (KeyObject or PEM)
+ * @param {(request: EphemeralRoughtimeRequest) => Promise<EphemeralRoughtimeResponse>} options.transport - Sends a request to the server
+ * @param {string} [options.name='roughtime'] - Source name
+ * @returns {EphemeralTimeSource} Time source
+ * @throws {Error} If transport is missing or publicKey is not an Ed25519 public key
+ */
+export function createRoughtimeSource(options = {}) {
+  if (typeof options.transport !== 'function') {
+    throw new Error('[ephemeral] createRoughtimeSource: transport is required')
+  }
+
+  const publicKey = toEd25519Key(options.publicKey, 'public', 'createRoughtimeSource: publicKey')
+  const transport = options.transport
+
+  return {
+    name: options.name ?? 'roughtime',
+    async sample() {
+      const nonce = randomBytes(ROUGHTIME_NONCE_BYTES)
+      const sentAt = performance.now()
+      const response = await transport({ nonce: nonce.toString('base64') })
+      const rtt = performance.now() - sentAt
+
+      const { midpoint, radius, signature } = response ?? {}
+      if (!isTimestamp(midpoint) || !isTimestamp(radius) || typeof signature !== 'string') {
+        throw new Error('[ephemeral] Malformed Roughtime response')
+      }
+      if (!verify(null, encodeRoughtime(nonce, midpoint, radius), publicKey, Buffer.from(signature, 'base64'))) {
+        throw new Error('[ephemeral] Roughtime response has an invalid signature')
+      }
+
+      return { time: midpoint + rtt / 2, uncertaintyMs: radius + rtt / 2 }
+    },
+  }
+}
+
+/**
+ * Creates the server side of createRoughtimeSource: a function that answers
+ * a request with the signed current time. Use it to run a local stand-in
+ * server in tests, or behind a real transport.
+ *
+ * @param {Object} options - Options
+ * @param {import('node:crypto').KeyObject | string | Buffer} options.privateKey - Ed25519 private key (KeyObject or PEM)
+ * @param {() => number} [options.nowFn=Date.now] - Clock to serve
+ * @param {number} [options.radiusMs=1000] - Uncertainty the server claims
+ * @returns {(request: EphemeralRoughtimeRequest) => Promise<EphemeralRoughtimeResponse>} Responder
+ * @throws {Error} If privateKey is not an Ed25519 private key
+ */
+export function createRoughtimeResponder(options = {}) {
+  const privateKey = toEd25519Key(options.privateKey, 'private', 'createRoughtimeResponder: privateKey')
+  const nowFn = options.nowFn ?? Date.now
+  const radius = options.radiusMs ?? 1000
+
+  return async function respond(request) {
+    const nonce = Buffer.from(request?.nonce ?? '', 'base64')
+    if (nonce.length !== ROUGHTIME_NONCE_BYTES) {
+      throw new Error('[ephemeral] Roughtime request has an invalid nonce')
+    }
+
+    const midpoint = Math.floor(nowFn())
+    const signature = sign(null, encodeRoughtime(nonce, midpoint, radius), privateKey)
+    return { midpoint, radius, signature: signature.toString('base64') }
+  }
+}
+
+/**
+ * Combines several time sources into one trusted time with an error interval.
+ *
+ * `sync()` samples every source in parallel. Sources that fail, time out, or
+ * claim more than `maxUncertaintyMs` are dropped, as are sources whose
+ * interval does not overlap the range that the most intervals share
+ * (Marzullo's algorithm), so a precise source such as the local clock with
+ * no uncertainty agrees with any source whose interval contains its time.
+ * The remaining sources must
+ * number at least `minSources`; the result is their median time, with the
+ * median of their lower and upper bounds as the interval, so a minority of
+ * lying sources cannot move it outside the honest ones.
+ *
+ * `now()` projects the last sync forward with `performance.now()` and widens
+ * the interval by `maxDriftPpm` of the elapsed time, so callers should sync
+ * again periodically.
+ *
+ * @param {EphemeralTimeSource[]} sources - Sources to combine
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.minSources] - Sources that must agree (default: a majority of sources)
+ * @param {number} [options.maxUncertaintyMs=10000] - Drop samples less precise than this
+ * @param {number} [options.timeoutMs=5000] - Drop sources that take longer than this to answer
+ * @param {number} [options.maxDriftPpm=100] - How fast the local clock may drift after a sync, in parts per million
+ * @param {import('./logger.js').EphemeralLogger} [options.logger] - Logger (defaults to the console logger)
+ * @returns {{
+ *   sync: () => Promise<EphemeralTimeInterval & { sources: string[], rejected: { name: string, reason: string }[] }>,
+ *   now: () => EphemeralTimeInterval
+ * }} Trusted time with sync and now methods
+ * @throws {Error} If sources is empty or an option is invalid
+ */
+export function createTrustedTime(sources, options = {}) {
+  if (!Array.isArray(sources) || sources.length === 0 || !sources.every((s) => typeof s?.sample === 'function')) {
+    throw new Error('[ephemeral] createTrustedTime: sources must be a non-empty array of time sources')
+  }
+
+  const minSources = options.minSources ?? Math.floor(sources.length / 2) + 1
+  const maxUncertaintyMs = options.maxUncertaintyMs ?? 10_000
+  const timeoutMs = options.timeoutMs ?? 5000
+  const maxDriftPpm = options.maxDriftPpm ?? 100
+  const logger = resolveLogger(options.logger)
+
+  if (!Number.isInteger(minSources) || minSources < 1 || minSources > sources.length) {
+    throw new Error('[ephemeral] createTrustedTime: minSources must be between 1 and the number of sources')
+  }
+  for (const [name, value] of Object.entries({ maxUncertaintyMs, timeoutMs, maxDriftPpm })) {
+    if (typeof value !== 'number' || !(value >= 0)) {
+      throw new Error(`[ephemeral] createTrustedTime: ${name} must be a non-negative number`)
+    }
+  }
+
+  let synced = null
+
+  async function sync() {
+    const rejected = []
+    const results = await Promise.allSettled(sources.map((source) => withTimeout(Promise.resolve().then(() => source.sample()), timeoutMs)))
+    const sampledAt = performance.now()
+
+    const samples = []
+    results.forEach((result, i) => {
+      const name = sources[i].name ?? `source ${i}`
+      if (result.status === 'rejected') {
+        rejected.push({ name, reason: result.reason?.message ?? String(result.reason) })
+        return
+      }
+
+      const { time, uncertaintyMs } = result.value ?? {}
+      if (!isTimestamp(time) || typeof uncertaintyMs !== 'number' || !(uncertaintyMs >= 0)) {
+        rejected.push({ name, reason: 'invalid sample' })
+      } else if (uncertaintyMs > maxUncertaintyMs) {
+        rejected.push({ name, reason: 'too uncertain' })
+      } else {
+        samples.push({ name, time, uncertaintyMs })
+      }
+    })
+
+    const agreeing = intersectIntervals(samples)
+    for (const s of samples) {
+      if (!agreeing.includes(s)) rejected.push({ name: s.name, reason: 'disagrees with the other sources' })
+    }
+
+    for (const { name, reason } of rejected) {
+      logger.warn('Time source rejected', { source: name, reason })
+    }
+    if (agreeing.length < minSources) {
+      throw new Error(`[ephemeral] Only ${agreeing.length} time sources agree, ${minSources} required`)
+    }
+
+    synced = {
+      at: sampledAt,
+      time: median(agreeing.map((s) => s.time)),
+      earliest: median(agreeing.map((s) => s.time - s.uncertaintyMs)),
+      latest: median(agreeing.map((s) => s.time + s.uncertaintyMs)),
+    }
+
+    return { ...now(), sources: agreeing.map((s) => s.name), rejected }
+  }
+
+  function now() {
+    if (!synced) {
+      throw new Error('[ephemeral] createTrustedTime: call sync() first')
+    }
+
+    const elapsed = performance.now() - synced.at
+    const drift = elapsed * maxDriftPpm / 1e6
+    return {
+      time: synced.time + elapsed,
+      earliest: synced.earliest + elapsed - drift,
+      latest: synced.latest + elapsed + drift,
+    }
+  }
+
+  return { sync, now }
+}
+
+/**
+ * Creates a clock that only moves when told to, with matching timers, for
+ * deterministic tests.
+ *
+ * Pass `clock.now` as `nowFn` and `clock.timers` as the `timers` option of
+ * createEphemeralAutoGC to simulate a schedule of unlocks and expiries
+ * without waiting. Like real timers, the timers follow elapsed time: `set()`
+ * changes what `now()` returns (e.g. to simulate the system clock being
+ * changed) without firing anything, while `advance()` moves both.
+ *
+ * After each timer, `advance()` waits for the promises handed to
+ * `timers.track` (auto-GC tracks its runs there), so runs against a real
+ * Hyperdrive finish before time moves on.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.start=0] - Initial time
+ * @returns {{
+ *   now: () => number,
+ *   set: (ts: number) => void,
+ *   advance: (ms: number) => Promise<void>,
+ *   pending: () => number,
+ *   timers: import('./auto-gc.js').EphemeralTimers
+ * }} Manual clock
+ * @throws {Error} If start is not a finite number
+ */
+export function createManualClock(options = {}) {
+  let current = options.start ?? 0
+  if (typeof current !== 'number' || !isFinite(current)) {
+    throw new Error('[ephemeral] createManualClock: start must be a finite number')
+  }
+
+  let elapsed = 0
+  let nextId = 1
+  // Work handed to timers.track, such as auto-GC runs, that advance() waits for
+  const tracked = new Set()
+  // Scheduled timers by handle, fired by (at, id) so equal deadlines keep their order
+  const scheduled = new Map()
+
+  function schedule(fn, ms, repeat) {
+    if (typeof fn !== 'function') {
+      throw new Error('[ephemeral] createManualClock: timer callback must be a function')
+    }
+    const delay = Math.max(1, Math.floor(ms) || 0)
+    const handle = { id: nextId++, ref: () => handle, unref: () => handle, hasRef: () => false }
+    scheduled.set(handle, { id: handle.id, at: elapsed + delay, delay, fn, repeat })
+    return handle
+  }
+
+  function cancel(handle) {
+    scheduled.delete(handle)
+  }
+
+  function track(promise) {
+    const untrack = () => tracked.delete(promise)
+    tracked.add(promise)
+    promise.then(untrack, untrack)
+  }
+
+  async function drain() {
+    await settle()
+    while (tracked.size > 0) {
+      await Promise.allSettled([...tracked])
+      await settle()
+    }
+  }
+
+  function earliestDue(until) {
+    let due = null
+    for (const [handle, timer] of scheduled) {
+      if (timer.at > until) continue
+      if (!due || timer.at < due.timer.at || (timer.at === due.timer.at && timer.id < due.timer.id)) {
+        due = { handle, timer }
+      }
+    }
+    return due
+  }
+
+  async function advance(ms) {
+    if (typeof ms !== 'number' || !(ms >= 0) || !isFinite(ms)) {
+      throw new Error('[ephemeral] createManualClock: advance needs a non-negative number')
+    }
+
+    // Work started before the call, such as the run of auto.start(), finishes first
+    await drain()
+
+    const until = elapsed + ms
+    let due
+    while ((due = earliestDue(until))) {
+      const { handle, timer } = due
+      current += timer.at - elapsed
+      elapsed = timer.at
+
+      if (timer.repeat) timer.at += timer.delay
+      else scheduled.delete(handle)
+
+      timer.fn()
+      await drain()
+    }
+
+    current += until - elapsed
+    elapsed = until
+    await drain()
+  }
+
+  function set(ts) {
+    if (typeof ts !== 'number' || !isFinite(ts)) {
+      throw new Error('[ephemeral] createManualClock: set needs a finite number')
+    }
+    current = ts
+  }
+
+  return {
+    now: () => current,
+    set,
+    advance,
+    pending: () => scheduled.size,
+    timers: {
+      setTimeout: (fn, ms) => schedule(fn, ms, false),
+      clearTimeout: cancel,
+      setInterval: (fn, ms) => schedule(fn, ms, true),
+      clearInterval: cancel,
+      track,
+    },
+  }
+}
+
+/**
+ * Parses a stored clock floor.
+ *
+ * @param {string} raw - Stored JSON
+ * @returns {number} Floor
+ * @throws {Error} If the stored value is not a finite timestamp
+ */
+function parseFloor(raw) {
+  let floor
+  try {
+    floor = JSON.parse(raw)?.floor
+  } catch (err) {
+    throw new Error('[ephemeral] Stored clock floor is corrupt', { cause: err })
+  }
+  if (typeof floor !== 'number' || !isFinite(floor) || floor < 0) {
+    throw new Error('[ephemeral] Stored clock floor is corrupt')
+  }
+  return floor
+}
+
+/**
+ * Encodes the signed part of a Roughtime response.
+ *
+ * @param {Buffer} nonce - Request nonce
+ * @param {number} midpoint - Server time
+ * @param {number} radius - Server uncertainty
+ * @returns {Buffer} Bytes to sign
+ */
+function encodeRoughtime(nonce, midpoint, radius) {
+  const times = Buffer.alloc(16)
+  times.writeBigUInt64BE(BigInt(Math.floor(midpoint)), 0)
+  times.writeBigUInt64BE(BigInt(Math.floor(radius)), 8)
+  return Buffer.concat([ROUGHTIME_CONTEXT, nonce, times])
+}
+
+/**
+ * Converts a key to an Ed25519 KeyObject.
+ *
+ * @param {import('node:crypto').KeyObject | string | Buffer} key - Key or PEM
+ * @param {'public' | 'private'} type - Expected key type
+ * @param {string} name - Caller and option name, for error messages
+ * @returns {import('node:crypto').KeyObject} Key object
+ * @throws {Error} If the key is missing or not Ed25519
+ */
+function toEd25519Key(key, type, name) {
+  const create = type === 'private' ? createPrivateKey : createPublicKey
+  let keyObject
+  try {
+    keyObject = key instanceof KeyObject || !key ? key : create(key)
+  } catch (err) {
+    throw new Error(`[ephemeral] ${name} is not a valid key`, { cause: err })
+  }
+  if (!keyObject || keyObject.type !== type || keyObject.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`[ephemeral] ${name} must be an Ed25519 key`)
+  }
+  return keyObject
+}
+
+/**
+ * Checks that a value is a non-negative finite timestamp or duration.
+ *
+ * @param {any} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isTimestamp(value) {
+  return typeof value === 'number' && isFinite(value) && value >= 0
+}
+
+/**
+ * Median of a list of numbers.
+ *
+ * @param {number[]} values - Values
+ * @returns {number} Median, or NaN for an empty list
+ */
+function median(values) {
+  if (values.length === 0) return NaN
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = sorted.length >> 1
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+/**
+ * Finds the samples whose intervals overlap the range shared by the most
+ * intervals (Marzullo's algorithm). Of several such ranges the earliest wins.
+ *
+ * @param {{ time: number, uncertaintyMs: number }[]} samples - Time samples
+ * @returns {{ time: number, uncertaintyMs: number }[]} Agreeing samples, in their original order
+ */
+function intersectIntervals(samples) {
+  // Starts sort before ends at the same time, so touching intervals overlap
+  const edges = samples.flatMap((s) => [
+    { at: s.time - s.uncertaintyMs, step: 1 },
+    { at: s.time + s.uncertaintyMs, step: -1 }
+  ]).sort((a, b) => a.at - b.at || b.step - a.step)
+
+  let count = 0
+  let best = 0
+  let lo = NaN
+  let hi = NaN
+  for (let i = 0; i < edges.length; i++) {
+    count += edges[i].step
+    if (count > best) {
+      best = count
+      lo = edges[i].at
+      hi = edges[i + 1].at
+    }
+  }
+
+  return samples.filter((s) => s.time - s.uncertaintyMs <= hi && s.time + s.uncertaintyMs >= lo)
+}
+
+/**
+ * Rejects if a promise does not settle in time.
+ *
+ * @param {Promise<any>} promise - Promise to wait for
+ * @param {number} ms - Time limit
+ * @returns {Promise<any>} The promise's result
+ */
+function withTimeout(promise, ms) {
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`[ephemeral] Timed out after ${ms}ms`)), ms)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * Lets promise callbacks and setImmediate work queued by a fired timer run,
+ * so one manual clock step finishes before the next one fires.
+ *
+ * @returns {Promise<void>}
+ */
+async function settle() {
+  for (let i = 0; i < SETTLE_TURNS; i++) {
+    await new Promise(resolve => setImmediate(resolve))
+  }
 }
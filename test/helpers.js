@@ -18,3 +18,9 @@ export async function createTestDrive() {
 
   return { dir, store, drive, cleanup }
 }
+
+export async function collect(iterable) {
+  const items = []
+  for await (const item of iterable) items.push(item)
+  return items
+}
@@ -1,11 +1,16 @@
 import test from 'brittle'
-import { createTestDrive } from '../helpers.js'
+import { join } from 'node:path'
+import { collect, createTestDrive } from '../helpers.js'
 import {
   createHyperdriveEphemeralContext,
   createHyperdriveEphemeralGC
 } from '../../lib/hyperdrive-adapter.js'
 import { isExpired, isUnlocked, isVisible } from '../../lib/meta.js'
-import { createMonotonicNow } from '../../lib/time.js'
+import { runEphemeralGC } from '../../lib/gc.js'
+import { openExpiryIndex } from '../../lib/expiry-index.js'
+import { createFileKeystore, createMemoryKeystore } from '../../lib/keystore.js'
+import { createManualClock, createMonotonicNow } from '../../lib/time.js'
+import { createSilentLogger } from '../../lib/logger.js'
 
 function getNow() {
   return createMonotonicNow()()
@@ -183,3 +188,981 @@ test('integration: Hyperdrive auto-GC', (t) => {
   })
 })
 
+
+test('integration: Hyperdrive expiry index', (t) => {
+  test('should expire through the index and keep it in sync', async (t) => {
+    const { drive, store, cleanup } = await createTestDrive()
+    const bee = await openExpiryIndex(store)
+    t.teardown(async () => {
+      await bee.close()
+      await cleanup()
+    }, { order: Infinity })
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      filesToDelete: [META_FILE, 'payload.txt'],
+      index: bee
+    })
+
+    await ctx.saveMeta({ id: 'due', createdAt: now, updatedAt: now, expiresAt: now - 1_000 })
+    await ctx.saveMeta({ id: 'later', createdAt: now, updatedAt: now, expiresAt: now + 60_000 })
+    await drive.put(`${PREFIX}/due/payload.txt`, Buffer.from('bye'))
+
+    const pending = []
+    const result = await runEphemeralGC(ctx, {
+      nowFn: () => now,
+      onPending: (entry) => pending.push(entry.id)
+    })
+
+    t.is(result.expired, 1)
+    t.is(await drive.get(`${PREFIX}/due/payload.txt`), null)
+    t.ok(await drive.get(`${PREFIX}/later/${META_FILE}`), 'should not touch pending session')
+    t.alike(pending, ['later'], 'should report next deadline from the index')
+    t.is((await ctx.nextExpiry()).id, 'later')
+  })
+
+  test('should rebuild index after drift', async (t) => {
+    const { drive, store, cleanup } = await createTestDrive()
+    const bee = await openExpiryIndex(store)
+    t.teardown(async () => {
+      await bee.close()
+      await cleanup()
+    }, { order: Infinity })
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      filesToDelete: [META_FILE],
+      index: bee
+    })
+
+    // Written behind the index's back
+    const meta = { id: 'unindexed', createdAt: now, updatedAt: now, expiresAt: now - 1_000 }
+    await drive.put(`${PREFIX}/unindexed/${META_FILE}`, Buffer.from(JSON.stringify(meta)))
+
+    // Indexed, then removed behind the index's back
+    await ctx.saveMeta({ id: 'gone', createdAt: now, updatedAt: now, expiresAt: now + 60_000 })
+    await drive.del(`${PREFIX}/gone/${META_FILE}`)
+
+    let result = await runEphemeralGC(ctx, { nowFn: () => now })
+    t.is(result.expired, 0, 'unindexed meta is invisible to indexed GC')
+
+    const rebuilt = await ctx.rebuildIndex()
+    t.alike(rebuilt, { indexed: 1, removed: 1 })
+
+    result = await runEphemeralGC(ctx, { nowFn: () => now })
+    t.is(result.expired, 1)
+    t.is(await ctx.nextExpiry(), null)
+  })
+})
+
+test('integration: Hyperdrive incremental listing', (t) => {
+  test('should pick up added, changed and removed metas from the diff', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup, { order: Infinity })
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      filesToDelete: [META_FILE],
+      incremental: true
+    })
+
+    await ctx.saveMeta({ id: 'a', createdAt: now, updatedAt: now })
+    await ctx.saveMeta({ id: 'b', createdAt: now, updatedAt: now })
+
+    let metas = await collect(ctx.listMetas())
+    t.alike(metas.map((m) => m.id).sort(), ['a', 'b'], 'first call does a full scan')
+
+    // Reads after the checkpoint should only touch changed meta files
+    const reads = []
+    const get = drive.get.bind(drive)
+    drive.get = (path, opts) => {
+      reads.push(path)
+      return get(path, opts)
+    }
+    t.teardown(() => {
+      delete drive.get
+    })
+
+    await ctx.saveMeta({ id: 'b', createdAt: now, updatedAt: now, expiresAt: now + 1000 })
+    await ctx.saveMeta({ id: 'c', createdAt: now, updatedAt: now })
+    await drive.put(`${PREFIX}/c/payload.txt`, Buffer.from('not a meta'))
+    await drive.del(`${PREFIX}/a/${META_FILE}`)
+
+    metas = await collect(ctx.listMetas())
+    t.alike(metas.map((m) => m.id).sort(), ['b', 'c'])
+    t.is(metas.find((m) => m.id === 'b').expiresAt, now + 1000)
+    t.alike(reads.sort(), [`${PREFIX}/b/${META_FILE}`, `${PREFIX}/c/${META_FILE}`])
+
+    reads.length = 0
+    await collect(ctx.listMetas())
+    t.is(reads.length, 0, 'unchanged drive needs no reads')
+  })
+})
+
+test('integration: Hyperdrive crypto-shredding', (t) => {
+  test('should store ciphertext and make it unreadable after expiry', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup, { order: Infinity })
+
+    const now = getNow()
+    const keystore = createMemoryKeystore()
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      filesToDelete: [META_FILE, 'secret.txt'],
+      encryption: { keystore }
+    })
+
+    await ctx.saveMeta({ id: 'enc', createdAt: now, updatedAt: now, expiresAt: now + 1_000 })
+    await ctx.putFile('enc', 'secret.txt', Buffer.from('top secret'))
+
+    // What a peer could have replicated before expiry
+    const raw = await drive.get(`${PREFIX}/enc/secret.txt`)
+    t.ok(!raw.includes(Buffer.from('top secret')), 'drive should only hold ciphertext')
+    t.alike(await ctx.getFile('enc', 'secret.txt'), Buffer.from('top secret'))
+
+    const result = await runEphemeralGC(ctx, { nowFn: () => now + 2_000 })
+    t.is(result.expired, 1)
+    t.is(await keystore.getKey('enc'), null, 'key should be destroyed')
+    t.is(await ctx.getFile('enc', 'secret.txt'), null)
+
+    // Even if the entry came back (e.g. re-replicated), it cannot be decrypted
+    await drive.put(`${PREFIX}/enc/secret.txt`, raw)
+    t.is(await ctx.getFile('enc', 'secret.txt'), null)
+  })
+
+  test('should encrypt concurrent putFile calls of a new session with one key', async (t) => {
+    const { drive, dir, cleanup } = await createTestDrive()
+    t.teardown(cleanup, { order: Infinity })
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      deleteMode: 'session',
+      encryption: { keystore: createFileKeystore(join(dir, 'keys')) }
+    })
+
+    await ctx.saveMeta({ id: 'enc', createdAt: now, updatedAt: now })
+    const names = ['a.txt', 'b.txt', 'c.txt', 'd.txt']
+    await Promise.all(names.map((name) => ctx.putFile('enc', name, Buffer.from(name))))
+
+    for (const name of names) {
+      t.alike(await ctx.getFile('enc', name), Buffer.from(name), `${name} should decrypt`)
+    }
+  })
+
+  test('should require a keystore', (t) => {
+    t.exception(() => createHyperdriveEphemeralContext({}, {
+      prefix: PREFIX,
+      filesToDelete: [],
+      encryption: {}
+    }))
+  })
+})
+
+test('integration: Hyperdrive storage reclaim', (t) => {
+  test('should clear blob blocks and report reclaimed bytes', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup, { order: Infinity })
+
+    const now = getNow()
+    const id = 'big'
+    const payload = Buffer.alloc(200_000, 7)
+
+    const { ctx, runOnce } = createHyperdriveEphemeralGC(drive, {
+      prefix: PREFIX,
+      filesToDelete: [META_FILE, 'payload.bin']
+    })
+
+    await ctx.saveMeta({ id, createdAt: now, updatedAt: now, expiresAt: now - 1_000 })
+    await drive.put(`${PREFIX}/${id}/payload.bin`, payload)
+
+    const { blob } = (await drive.entry(`${PREFIX}/${id}/payload.bin`)).value
+    t.ok(await drive.blobs.core.has(blob.blockOffset), 'blob should be stored locally')
+
+    const result = await runOnce()
+    t.is(result.expired, 1)
+    t.ok(result.reclaimedBytes >= payload.length, 'should report reclaimed payload bytes')
+    t.is(await drive.blobs.core.has(blob.blockOffset), false, 'blob blocks should be cleared')
+  })
+
+  test('should report the exact bytes reclaimed across several files', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup, { order: Infinity })
+
+    const now = getNow()
+    const files = ['a.bin', 'b.bin', 'c.bin']
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      filesToDelete: files
+    })
+
+    await ctx.saveMeta({ id: 'many', createdAt: now, updatedAt: now, expiresAt: now - 1_000 })
+    for (const name of files) await drive.put(`${PREFIX}/many/${name}`, Buffer.alloc(1000, name.charCodeAt(0)))
+
+    // Hold every clear until all three are in flight, so the deletions overlap
+    const clear = drive.blobs.clear.bind(drive.blobs)
+    const pending = []
+    drive.blobs.clear = (blob) => new Promise((resolve, reject) => {
+      pending.push(() => clear(blob).then(resolve, reject))
+      if (pending.length === files.length) pending.forEach((release) => release())
+    })
+
+    const result = await runEphemeralGC(ctx, { nowFn: () => now })
+    t.is(result.reclaimedBytes, 3000)
+  })
+
+  test('should keep blob blocks when reclaimStorage is false', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup, { order: Infinity })
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      filesToDelete: [META_FILE, 'payload.bin'],
+      reclaimStorage: false
+    })
+
+    await ctx.saveMeta({ id: 'keep', createdAt: now, updatedAt: now, expiresAt: now - 1_000 })
+    await drive.put(`${PREFIX}/keep/payload.bin`, Buffer.from('bytes'))
+    const { blob } = (await drive.entry(`${PREFIX}/keep/payload.bin`)).value
+
+    const result = await runEphemeralGC(ctx, { nowFn: () => now })
+    t.is(result.reclaimedBytes, 0)
+    t.ok(await drive.blobs.core.has(blob.blockOffset))
+  })
+})
+
+test('integration: Hyperdrive session delete mode', (t) => {
+  test('should delete everything under the session directory', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup, { order: Infinity })
+
+    const now = getNow()
+    const { ctx, runOnce } = createHyperdriveEphemeralGC(drive, {
+      prefix: PREFIX,
+      deleteMode: 'session'
+    })
+
+    await ctx.saveMeta({ id: 's1', createdAt: now, updatedAt: now, expiresAt: now - 1_000 })
+    await drive.put(`${PREFIX}/s1/payload.txt`, Buffer.from('a'))
+    await drive.put(`${PREFIX}/s1/thumbs/small.png`, Buffer.from('b'))
+    await drive.put(`${PREFIX}/s1/chunks/0/0001`, Buffer.from('c'))
+    await drive.put(`${PREFIX}/s2/payload.txt`, Buffer.from('other session'))
+
+    const result = await runOnce()
+    t.is(result.expired, 1)
+
+    const remaining = []
+    for await (const entry of drive.list(PREFIX)) remaining.push(entry.key)
+    t.alike(remaining, [`${PREFIX}/s2/payload.txt`])
+  })
+
+  test('should honor include/exclude globs', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup, { order: Infinity })
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      deleteMode: 'session',
+      exclude: ['audit/**']
+    })
+
+    await ctx.saveMeta({ id: 's1', createdAt: now, updatedAt: now, expiresAt: now - 1_000 })
+    await drive.put(`${PREFIX}/s1/payload.txt`, Buffer.from('a'))
+    await drive.put(`${PREFIX}/s1/audit/log.txt`, Buffer.from('b'))
+
+    await runEphemeralGC(ctx, { nowFn: () => now })
+
+    t.is(await drive.get(`${PREFIX}/s1/payload.txt`), null)
+    t.is(await drive.get(`${PREFIX}/s1/${META_FILE}`), null, 'meta is always removed')
+    t.ok(await drive.get(`${PREFIX}/s1/audit/log.txt`), 'excluded file is kept')
+  })
+
+  test('should keep meta file when a deletion fails', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup, { order: Infinity })
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      deleteMode: 'session'
+    })
+
+    await ctx.saveMeta({ id: 's1', createdAt: now, updatedAt: now, expiresAt: now - 1_000 })
+    await drive.put(`${PREFIX}/s1/stuck.txt`, Buffer.from('a'))
+
+    const warnings = []
+    const originalWarn = console.warn
+    console.warn = (msg) => warnings.push(msg)
+    t.teardown(() => {
+      console.warn = originalWarn
+    })
+
+    const del = drive.del.bind(drive)
+    drive.del = async (path) => {
+      if (path.endsWith('stuck.txt')) throw new Error('disk on fire')
+      return del(path)
+    }
+    t.teardown(() => {
+      delete drive.del
+    })
+
+    const outcome = await ctx.onExpire({ id: 's1' })
+    t.alike(outcome.failed, [{ path: `${PREFIX}/s1/stuck.txt`, error: 'disk on fire' }])
+    t.ok(await drive.get(`${PREFIX}/s1/${META_FILE}`), 'meta should survive for a retry')
+  })
+
+  test('should throw for unknown deleteMode', (t) => {
+    t.exception(() => createHyperdriveEphemeralContext({}, { prefix: PREFIX, deleteMode: 'all' }))
+  })
+
+  test('should throw without filesToDelete in files mode', (t) => {
+    t.exception(() => createHyperdriveEphemeralContext({}, { prefix: PREFIX }))
+    t.exception(() => createHyperdriveEphemeralContext({}, { prefix: PREFIX, deleteMode: 'files', filesToDelete: 'meta.json' }))
+  })
+})
+
+test('integration: Hyperdrive dry run', (t) => {
+  test('should list exact paths and sizes without deleting', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup, { order: Infinity })
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      filesToDelete: [META_FILE, 'payload.txt', 'missing.txt']
+    })
+
+    await ctx.saveMeta({ id: 'dry', createdAt: now, updatedAt: now, expiresAt: now - 1_000 })
+    await drive.put(`${PREFIX}/dry/payload.txt`, Buffer.from('12345'))
+
+    const result = await runEphemeralGC(ctx, { nowFn: () => now, dryRun: true })
+    t.is(result.expired, 1)
+    t.is(result.plan.length, 1)
+
+    const [item] = result.plan
+    t.is(item.id, 'dry')
+    t.is(item.overdueMs, 1_000)
+    t.alike(item.paths.map((p) => p.path), [`${PREFIX}/dry/${META_FILE}`, `${PREFIX}/dry/payload.txt`])
+    t.is(item.paths[1].bytes, 5)
+
+    t.ok(await drive.get(`${PREFIX}/dry/payload.txt`), 'should not delete anything')
+  })
+
+  test('should plan meta file last in session mode', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup, { order: Infinity })
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      deleteMode: 'session'
+    })
+
+    await ctx.saveMeta({ id: 'dry', createdAt: now, updatedAt: now, expiresAt: now - 1_000 })
+    await drive.put(`${PREFIX}/dry/a/b.txt`, Buffer.from('x'))
+
+    const { plan } = await runEphemeralGC(ctx, { nowFn: () => now, dryRun: true })
+    t.alike(plan[0].paths.map((p) => p.path), [`${PREFIX}/dry/a/b.txt`, `${PREFIX}/dry/${META_FILE}`])
+    t.ok(await drive.get(`${PREFIX}/dry/a/b.txt`))
+  })
+})
+
+test('integration: Hyperdrive GC budgets', (t) => {
+  test('should resume runOnce from the cursor', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup, { order: Infinity })
+
+    const now = getNow()
+    const { ctx, runOnce } = createHyperdriveEphemeralGC(drive, {
+      prefix: PREFIX,
+      filesToDelete: [META_FILE],
+      maxItemsPerRun: 2
+    })
+
+    for (const id of ['c', 'a', 'b']) {
+      await ctx.saveMeta({ id, createdAt: now, updatedAt: now, expiresAt: now - 1_000 })
+    }
+
+    const first = await runOnce()
+    t.is(first.expired, 2)
+    t.is(first.truncated, true)
+    t.is(first.cursor, 'b', 'should list sessions in id order')
+
+    const second = await runOnce()
+    t.is(second.expired, 1)
+    t.is(second.truncated, false)
+    t.is(second.cursor, null)
+
+    t.alike(await collect(ctx.listMetas()), [])
+  })
+})
+
+test('integration: Hyperdrive throttling', (t) => {
+  test('should rate limit deletions', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup, { order: Infinity })
+
+    const files = ['a.txt', 'b.txt', 'c.txt', 'd.txt', 'e.txt']
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      filesToDelete: files,
+      maxDeletesPerSecond: 50,
+      verifyDelayMs: 0
+    })
+
+    const now = getNow()
+    await ctx.saveMeta({ id: 's1', createdAt: now, updatedAt: now, expiresAt: now - 1_000 })
+    for (const name of files) await drive.put(`${PREFIX}/s1/${name}`, Buffer.from(name))
+
+    const startedAt = performance.now()
+    const outcome = await ctx.onExpire({ id: 's1' })
+
+    t.is(outcome.deleted.length, files.length)
+    t.ok(performance.now() - startedAt >= 75, 'five deletions at 50/s should take at least 80ms')
+  })
+
+  test('should expire sessions concurrently through runOnce', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup, { order: Infinity })
+
+    const { ctx, runOnce } = createHyperdriveEphemeralGC(drive, {
+      prefix: PREFIX,
+      filesToDelete: [META_FILE],
+      concurrency: 4,
+      verifyDelayMs: 0
+    })
+
+    const now = getNow()
+    for (const id of ['a', 'b', 'c', 'd', 'e']) {
+      await ctx.saveMeta({ id, createdAt: now, updatedAt: now, expiresAt: now - 1_000 })
+    }
+
+    const report = await runOnce()
+    t.is(report.expired, 5)
+    t.alike(await collect(ctx.listMetas()), [])
+  })
+
+  test('should throw for invalid verifyDelayMs', (t) => {
+    t.exception(() => createHyperdriveEphemeralContext({}, { prefix: PREFIX, filesToDelete: [], verifyDelayMs: -1 }))
+  })
+})
+
+
+test('integration: Hyperdrive onUnlock', (t) => {
+  test('should announce an unlock once through the index, across restarts', async (t) => {
+    const { drive, store, cleanup } = await createTestDrive()
+    const bee = await openExpiryIndex(store)
+    t.teardown(async () => {
+      await bee.close()
+      await cleanup()
+    }, { order: Infinity })
+
+    const now = getNow()
+    const unlocked = []
+    const options = {
+      prefix: PREFIX,
+      filesToDelete: [META_FILE],
+      index: bee,
+      onUnlock: (meta) => unlocked.push(meta.id)
+    }
+
+    let ctx = createHyperdriveEphemeralContext(drive, options)
+    await ctx.saveMeta({ id: 'a', createdAt: now, updatedAt: now, unlockAt: now + 100, expiresAt: now + 60_000 })
+    t.is((await ctx.nextExpiry()).expiresAt, now + 100, 'should index by the unlock deadline')
+
+    let report = await runEphemeralGC(ctx, { nowFn: () => now + 100 })
+    t.is(report.unlocked, 1)
+    t.alike(unlocked, ['a'])
+    t.is((await ctx.nextExpiry()).expiresAt, now + 60_000, 'should re-index by expiresAt')
+
+    // A fresh context over the same drive and index, as after a restart
+    ctx = createHyperdriveEphemeralContext(drive, options)
+    report = await runEphemeralGC(ctx, { nowFn: () => now + 200 })
+    t.is(report.unlocked, 0)
+    t.alike(unlocked, ['a'])
+
+    const [meta] = await collect(ctx.listMetas())
+    t.is(meta.unlockNotifiedAt, now + 100)
+  })
+})
+
+test('integration: Hyperdrive onExpiringSoon', (t) => {
+  test('should warn through the index once per lead time', async (t) => {
+    const { drive, store, cleanup } = await createTestDrive()
+    const bee = await openExpiryIndex(store)
+    t.teardown(async () => {
+      await bee.close()
+      await cleanup()
+    }, { order: Infinity })
+
+    const now = getNow()
+    const warnings = []
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      filesToDelete: [META_FILE],
+      index: bee,
+      expiringSoonLeadMs: [10_000, 1_000],
+      onExpiringSoon: (meta, leadMs) => warnings.push([meta.id, leadMs])
+    })
+
+    await ctx.saveMeta({ id: 'a', createdAt: now, updatedAt: now, expiresAt: now + 20_000 })
+    t.is((await ctx.nextExpiry()).expiresAt, now + 10_000, 'should index by the first warning')
+
+    await runEphemeralGC(ctx, { nowFn: () => now + 10_000 })
+    await runEphemeralGC(ctx, { nowFn: () => now + 15_000 })
+    t.is((await ctx.nextExpiry()).expiresAt, now + 19_000)
+
+    await runEphemeralGC(ctx, { nowFn: () => now + 19_500 })
+    t.alike(warnings, [['a', 10_000], ['a', 1_000]])
+    t.is((await ctx.nextExpiry()).expiresAt, now + 20_000)
+  })
+
+  test('should throw for invalid lead times', (t) => {
+    t.exception(() => createHyperdriveEphemeralContext({}, { prefix: PREFIX, filesToDelete: [], onExpiringSoon() { }, expiringSoonLeadMs: [] }))
+  })
+})
+
+test('integration: Hyperdrive grace period', (t) => {
+  test('should hide, restore and purge tombstoned sessions', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup)
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      filesToDelete: [META_FILE, 'data.txt'],
+      graceMs: 60_000
+    })
+
+    for (const id of ['kept', 'purged']) {
+      await ctx.saveMeta({ id, createdAt: now, updatedAt: now, expiresAt: now - 1 })
+      await drive.put(`${PREFIX}/${id}/data.txt`, Buffer.from(id))
+    }
+
+    const report = await runEphemeralGC(ctx, { nowFn: () => now })
+    t.is(report.tombstoned, 2)
+    t.ok(await drive.get(`${PREFIX}/kept/data.txt`), 'should keep data during the grace period')
+
+    const [meta] = await collect(ctx.listMetas())
+    t.is(isVisible(meta, now), false)
+
+    const restored = await ctx.restore('kept', { expiresAt: getNow() + 60_000 })
+    t.is(restored.tombstone, undefined)
+    t.ok(isVisible(restored, getNow()))
+
+    await runEphemeralGC(ctx, { nowFn: () => now + 60_000 })
+    t.ok(await drive.get(`${PREFIX}/kept/data.txt`))
+    t.is(await drive.get(`${PREFIX}/purged/data.txt`), null)
+    t.is(await drive.get(`${PREFIX}/purged/${META_FILE}`), null)
+  })
+
+  test('should refuse to restore outside the grace period', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup)
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      filesToDelete: [META_FILE],
+      graceMs: 1_000
+    })
+
+    await ctx.saveMeta({ id: 'live', createdAt: now, updatedAt: now, expiresAt: now + 60_000 })
+    await ctx.saveMeta({
+      id: 'old',
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: now - 10_000,
+      tombstone: { expiredAt: now - 5_000, reason: 'expired' }
+    })
+
+    await t.exception(ctx.restore('missing'), /not found/)
+    await t.exception(ctx.restore('live'), /not tombstoned/)
+    await t.exception(ctx.restore('old'), /grace period/)
+  })
+
+  test('should keep the original expiresAt unless a new one is given', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup)
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, { prefix: PREFIX, filesToDelete: [META_FILE], graceMs: 60_000 })
+    const tombstone = { expiredAt: now - 1_000, reason: 'expired' }
+
+    // Tombstoned early, e.g. by a GC with a clock running ahead
+    await ctx.saveMeta({ id: 'early', createdAt: now, updatedAt: now, expiresAt: now + 30_000, tombstone })
+    const restored = await ctx.restore('early')
+    t.is(restored.expiresAt, now + 30_000)
+
+    await ctx.saveMeta({ id: 'lapsed', createdAt: now, updatedAt: now, expiresAt: now - 1_000, tombstone })
+    await t.exception(ctx.restore('lapsed'), /has expired, pass a new expiresAt/)
+    t.is((await ctx.restore('lapsed', { expiresAt: getNow() + 60_000 })).tombstone, undefined)
+  })
+
+  test('should refuse to restore sessions out of reads or lifetime', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup)
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, { prefix: PREFIX, filesToDelete: [META_FILE], graceMs: 60_000 })
+    const tombstone = { expiredAt: now - 1_000, reason: 'expired' }
+
+    await ctx.saveMeta({ id: 'read', createdAt: now, updatedAt: now, maxReads: 1, reads: 1, expiresAt: now - 1_000, tombstone })
+    await ctx.saveMeta({ id: 'old', createdAt: now - 10_000, updatedAt: now, maxLifetimeMs: 5_000, tombstone })
+
+    await t.exception(ctx.restore('read', { expiresAt: now + 60_000 }), /used up its maxReads/)
+    await t.exception(ctx.restore('old', { expiresAt: now + 60_000 }), /reached its maxLifetimeMs/)
+
+    const report = await runEphemeralGC(ctx, { nowFn: () => now + 60_000 })
+    t.is(report.expired, 2, 'should leave them to be purged')
+  })
+
+  test('should throw for an invalid graceMs', (t) => {
+    t.exception(() => createHyperdriveEphemeralContext({}, { prefix: PREFIX, filesToDelete: [], graceMs: -1 }))
+  })
+})
+
+test('integration: Hyperdrive holds', (t) => {
+  test('should hold a session past its expiry until released', async (t) => {
+    const { drive, store, cleanup } = await createTestDrive()
+    const bee = await openExpiryIndex(store)
+    t.teardown(async () => {
+      await bee.close()
+      await cleanup()
+    }, { order: Infinity })
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      filesToDelete: [META_FILE, 'data.txt'],
+      index: bee
+    })
+
+    await ctx.saveMeta({ id: 'a', createdAt: now, updatedAt: now, expiresAt: now + 1_000 })
+    await drive.put(`${PREFIX}/a/data.txt`, Buffer.from('evidence'))
+
+    const held = await ctx.hold('a', { reason: 'abuse report #12', holder: 'trust-and-safety' })
+    t.alike(held.holds, [{ reason: 'abuse report #12', holder: 'trust-and-safety' }])
+    t.is(await ctx.nextExpiry(), null, 'an open-ended hold leaves the index')
+
+    let report = await runEphemeralGC(ctx, { nowFn: () => now + 2_000 })
+    t.is(report.expired, 0)
+    t.ok(await drive.get(`${PREFIX}/a/data.txt`))
+
+    await t.exception(ctx.release('a', 'someone-else'), /no hold/)
+    const released = await ctx.release('a', 'trust-and-safety')
+    t.is(released.holds, undefined)
+
+    report = await runEphemeralGC(ctx, { nowFn: () => now + 2_000 })
+    t.is(report.expired, 1)
+    t.is(await drive.get(`${PREFIX}/a/data.txt`), null)
+  })
+
+  test('should keep a hold placed while GC is running', async (t) => {
+    for (const graceMs of [0, 60_000]) {
+      const { drive, cleanup } = await createTestDrive()
+      t.teardown(cleanup)
+
+      const now = getNow()
+      const ctx = createHyperdriveEphemeralContext(drive, {
+        prefix: PREFIX,
+        deleteMode: 'session',
+        graceMs,
+        logger: createSilentLogger()
+      })
+
+      await ctx.saveMeta({ id: 'a', createdAt: now, updatedAt: now, expiresAt: now - 1_000 })
+      await ctx.putFile('a', 'data.txt', Buffer.from('evidence'))
+
+      // The hold lands after GC listed the meta, before it acts on it
+      const report = await runEphemeralGC({
+        ...ctx,
+        async * listMetas(opts) {
+          for await (const meta of ctx.listMetas(opts)) {
+            await ctx.hold(meta.id, { reason: 'legal hold', holder: 'legal' })
+            yield meta
+          }
+        }
+      })
+
+      t.is(report.expired + report.tombstoned, 0, `graceMs ${graceMs}: should not expire the held session`)
+      const [meta] = await collect(ctx.listMetas())
+      t.alike(meta.holds, [{ reason: 'legal hold', holder: 'legal' }], `graceMs ${graceMs}: should keep the hold`)
+      t.is(meta.tombstone, undefined)
+      t.alike(await ctx.getFile('a', 'data.txt'), Buffer.from('evidence'))
+    }
+  })
+
+  test('should validate holds', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup)
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, { prefix: PREFIX, filesToDelete: [META_FILE] })
+    await ctx.saveMeta({ id: 'a', createdAt: now, updatedAt: now })
+
+    await t.exception(ctx.hold('a', { reason: '', holder: 'legal' }), /reason and holder/)
+    await t.exception(ctx.hold('a', { reason: 'x', holder: 'legal', until: 'soon' }), /until/)
+    await t.exception(ctx.hold('missing', { reason: 'x', holder: 'legal' }), /not found/)
+  })
+})
+
+test('integration: Hyperdrive sliding expiration', (t) => {
+  test('should keep touched sessions alive up to maxLifetimeMs', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup)
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      filesToDelete: [META_FILE],
+      touchIntervalMs: 0
+    })
+
+    await ctx.saveMeta({ id: 'a', createdAt: now - 5_000, updatedAt: now - 5_000, idleTtlMs: 60_000, maxLifetimeMs: 120_000 })
+
+    const touched = await ctx.touch('a')
+    t.ok(touched.lastAccessAt >= now)
+
+    let report = await runEphemeralGC(ctx, { nowFn: () => touched.lastAccessAt + 59_000 })
+    t.is(report.expired, 0, 'touched within idleTtlMs')
+
+    report = await runEphemeralGC(ctx, { nowFn: () => now + 115_000 })
+    t.is(report.expired, 1, 'maxLifetimeMs caps the session')
+  })
+
+  test('should skip writes within the touch interval', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup)
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, { prefix: PREFIX, filesToDelete: [META_FILE] })
+    await ctx.saveMeta({ id: 'a', createdAt: now, updatedAt: now, idleTtlMs: 60_000 })
+
+    const version = drive.version
+    const meta = await ctx.touch('a')
+    t.is(meta.lastAccessAt, undefined)
+    t.is(drive.version, version, 'should not write the meta')
+  })
+
+  test('should refuse to touch an expired session', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup)
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, { prefix: PREFIX, filesToDelete: [META_FILE] })
+    await ctx.saveMeta({ id: 'a', createdAt: now - 10_000, updatedAt: now - 10_000, idleTtlMs: 1_000 })
+
+    await t.exception(ctx.touch('a'), /has expired/)
+  })
+})
+
+test('integration: Hyperdrive read limits', (t) => {
+  test('should delete the session right after its last read', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup)
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      deleteMode: 'session',
+      logger: createSilentLogger()
+    })
+
+    await ctx.saveMeta({ id: 'secret', createdAt: now, updatedAt: now, expiresAt: now + 60_000, maxReads: 2 })
+    await ctx.putFile('secret', 'note.txt', Buffer.from('hunter2'))
+
+    t.alike(await ctx.read('secret', 'note.txt'), Buffer.from('hunter2'))
+    const [meta] = await collect(ctx.listMetas())
+    t.is(meta.reads, 1)
+
+    t.alike(await ctx.read('secret', 'note.txt'), Buffer.from('hunter2'))
+    t.is(await drive.get(`${PREFIX}/secret/note.txt`), null)
+    t.is(await drive.get(`${PREFIX}/secret/${META_FILE}`), null)
+
+    await t.exception(ctx.read('secret', 'note.txt'), /not found/)
+  })
+
+  test('should serve a one-time secret only once under concurrent reads', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup)
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      deleteMode: 'session',
+      logger: createSilentLogger()
+    })
+
+    await ctx.saveMeta({ id: 'secret', createdAt: now, updatedAt: now, maxReads: 1 })
+    await ctx.putFile('secret', 'note.txt', Buffer.from('hunter2'))
+
+    const results = await Promise.allSettled([ctx.read('secret', 'note.txt'), ctx.read('secret', 'note.txt')])
+    t.alike(results.map((r) => r.status), ['fulfilled', 'rejected'])
+  })
+
+  test('should count reads made while GC announces the session', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup)
+
+    const now = getNow()
+    const served = []
+    const read = async () => served.push((await ctx.read('secret', 'note.txt')).toString())
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      deleteMode: 'session',
+      expiringSoonLeadMs: [60_000],
+      onUnlock: read,
+      onExpiringSoon: read,
+      logger: createSilentLogger()
+    })
+
+    await ctx.saveMeta({ id: 'secret', createdAt: now, updatedAt: now, unlockAt: now - 10, expiresAt: now + 30_000, maxReads: 2 })
+    await ctx.putFile('secret', 'note.txt', Buffer.from('hunter2'))
+
+    const report = await runEphemeralGC(ctx)
+    t.is(report.unlocked, 1)
+    t.is(report.expiringSoon, 1)
+    t.alike(served, ['hunter2', 'hunter2'])
+    t.is(await drive.get(`${PREFIX}/secret/note.txt`), null, 'should burn after the second read')
+
+    await t.exception(ctx.read('secret', 'note.txt'), /not found/)
+  })
+
+  test('should not count a read of a missing file', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup)
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      deleteMode: 'session',
+      logger: createSilentLogger()
+    })
+
+    await ctx.saveMeta({ id: 'x', createdAt: now, updatedAt: now, maxReads: 1 })
+    await ctx.putFile('x', 'secret.txt', Buffer.from('hunter2'))
+
+    t.is(await ctx.read('x', 'secre.txt'), null)
+    const [meta] = await collect(ctx.listMetas())
+    t.is(meta.reads, undefined, 'should not use up the read')
+
+    t.alike(await ctx.read('x', 'secret.txt'), Buffer.from('hunter2'))
+    t.is(await drive.get(`${PREFIX}/x/secret.txt`), null)
+  })
+
+  test('should not count a read that fails to decrypt', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup)
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, {
+      prefix: PREFIX,
+      deleteMode: 'session',
+      encryption: { keystore: createMemoryKeystore() },
+      logger: createSilentLogger()
+    })
+
+    await ctx.saveMeta({ id: 'x', createdAt: now, updatedAt: now, maxReads: 1 })
+    await ctx.putFile('x', 'secret.txt', Buffer.from('hunter2'))
+    await drive.put(`${PREFIX}/x/tampered.txt`, (await drive.get(`${PREFIX}/x/secret.txt`)).reverse())
+
+    await t.exception(ctx.read('x', 'tampered.txt'))
+    const [meta] = await collect(ctx.listMetas())
+    t.is(meta.reads, undefined, 'should not use up the read')
+    t.alike(await ctx.read('x', 'secret.txt'), Buffer.from('hunter2'))
+  })
+
+  test('should refuse reads before unlockAt', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup)
+
+    const now = getNow()
+    const ctx = createHyperdriveEphemeralContext(drive, { prefix: PREFIX, deleteMode: 'session' })
+
+    await ctx.saveMeta({ id: 'later', createdAt: now, updatedAt: now, unlockAt: now + 60_000, maxReads: 1 })
+    await ctx.putFile('later', 'note.txt', Buffer.from('not yet'))
+
+    await t.exception(ctx.read('later', 'note.txt'), /not visible/)
+    const [meta] = await collect(ctx.listMetas())
+    t.is(meta.reads, undefined, 'should not count refused reads')
+  })
+})
+
+test('integration: Hyperdrive manual clock', (t) => {
+  test('should unlock and expire sessions as the manual clock advances', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+    t.teardown(cleanup)
+
+    const clock = createManualClock({ start: 1_000_000 })
+    const hour = 60 * 60_000
+    const start = clock.now()
+    const unlocked = []
+    const { ctx, runOnce } = createHyperdriveEphemeralGC(drive, {
+      prefix: PREFIX,
+      deleteMode: 'session',
+      nowFn: clock.now,
+      timers: clock.timers,
+      onUnlock: (meta) => unlocked.push(meta.id),
+      logger: createSilentLogger()
+    })
+
+    await ctx.saveMeta({ id: 'letter', createdAt: start, updatedAt: start, unlockAt: start + hour, expiresAt: start + 24 * hour })
+    await ctx.putFile('letter', 'note.txt', Buffer.from('hello'))
+
+    await runOnce()
+    t.alike(unlocked, [])
+
+    await clock.advance(hour)
+    await runOnce()
+    t.alike(unlocked, ['letter'])
+
+    await clock.advance(23 * hour)
+    const report = await runOnce()
+    t.is(report.expired, 1)
+    t.is(await drive.get(`${PREFIX}/letter/note.txt`), null)
+  })
+
+  test('should drive auto-GC on the manual clock', async (t) => {
+    const { drive, cleanup } = await createTestDrive()
+
+    const clock = createManualClock({ start: 1_000_000 })
+    const hour = 60 * 60_000
+    const start = clock.now()
+    const events = []
+    const { ctx, auto } = createHyperdriveEphemeralGC(drive, {
+      prefix: PREFIX,
+      deleteMode: 'session',
+      mode: 'deadline',
+      nowFn: clock.now,
+      timers: clock.timers,
+      onUnlock: () => { },
+      logger: createSilentLogger()
+    })
+    auto.on('unlocked', (meta) => events.push(`unlocked:${meta.id}@${(clock.now() - start) / hour}h`))
+    auto.on('expired', (meta) => events.push(`expired:${meta.id}@${(clock.now() - start) / hour}h`))
+    t.teardown(async () => {
+      await auto.stop()
+      await cleanup()
+    })
+
+    for (const id of ['a', 'b', 'c']) {
+      await ctx.saveMeta({ id, createdAt: start, updatedAt: start, unlockAt: start + hour, expiresAt: start + 24 * hour })
+      await ctx.putFile(id, 'note.txt', Buffer.from(id))
+    }
+
+    auto.start()
+    await clock.advance(48 * hour)
+
+    t.alike(events, [
+      'unlocked:a@1h', 'unlocked:b@1h', 'unlocked:c@1h',
+      'expired:a@24h', 'expired:b@24h', 'expired:c@24h'
+    ])
+    t.alike(await collect(ctx.listMetas()), [])
+  })
+})
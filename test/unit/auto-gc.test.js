@@ -1,6 +1,8 @@
 import test from 'brittle'
+import { once } from 'node:events'
 import { createEphemeralAutoGC } from '../../lib/auto-gc.js'
-import { createMonotonicNow } from '../../lib/time.js'
+import { createSilentLogger } from '../../lib/logger.js'
+import { createManualClock, createMonotonicNow } from '../../lib/time.js'
 
 // Helper to get current time using monotonic clock
 function getNow() {
@@ -154,4 +156,751 @@ test('auto-gc: createEphemeralAutoGC', (t) => {
     t.ok(errors.length >= 1)
     t.ok(errors[0].includes('auto-GC error'))
   })
+
+  test('should throw for unknown mode', (t) => {
+    const ctx = {
+      async listMetas() { return [] },
+      async saveMeta() { }
+    }
+
+    t.exception(() => createEphemeralAutoGC(ctx, { mode: 'cron' }))
+  })
+})
+
+test('auto-gc: deadline mode', (t) => {
+  test('should expire at the deadline instead of waiting for the interval', async (t) => {
+    const clock = createManualClock({ start: 1_000_000 })
+    const now = clock.now()
+    const expired = []
+    let listCalls = 0
+
+    const metas = [
+      { id: 'soon', createdAt: now, updatedAt: now, expiresAt: now + 50 },
+      { id: 'later', createdAt: now, updatedAt: now, expiresAt: now + 60_000 }
+    ]
+
+    const ctx = {
+      async listMetas() {
+        listCalls++
+        return metas.filter((m) => !expired.includes(m.id))
+      },
+      async saveMeta() { },
+      async onExpire(meta) {
+        expired.push(meta.id)
+      }
+    }
+
+    const auto = createEphemeralAutoGC(ctx, { mode: 'deadline', intervalMs: 60_000, nowFn: clock.now, timers: clock.timers })
+    auto.start()
+
+    t.teardown(() => {
+      auto.stop()
+    }, { order: -1 })
+
+    await clock.advance(49)
+    t.alike(expired, [], 'should not expire before the deadline')
+
+    await clock.advance(1)
+    t.alike(expired, ['soon'], 'should expire only the due session')
+    t.is(listCalls, 2, 'should scan once on start and once at the deadline')
+  })
+
+  test('should arm timer for scheduled metas', async (t) => {
+    const now = getNow()
+    const metas = []
+    const expired = []
+
+    const ctx = {
+      async listMetas() { return metas },
+      async saveMeta() { },
+      async onExpire(meta) {
+        expired.push(meta.id)
+        metas.splice(metas.indexOf(meta), 1)
+      }
+    }
+
+    const auto = createEphemeralAutoGC(ctx, { mode: 'deadline' })
+    auto.start()
+
+    t.teardown(() => {
+      auto.stop()
+    }, { order: -1 })
+
+    // Let the initial scan see an empty list
+    await new Promise(resolve => setTimeout(resolve, 20))
+
+    const meta = { id: 'new', createdAt: now, updatedAt: now, expiresAt: getNow() + 50 }
+    metas.push(meta)
+    auto.schedule(meta)
+
+    await new Promise(resolve => setTimeout(resolve, 150))
+
+    t.alike(expired, ['new'])
+  })
+
+  test('should wake up at unlockAt when ctx has onUnlock', async (t) => {
+    const now = getNow()
+    const meta = { id: 'a', createdAt: now, updatedAt: now, unlockAt: now + 50, expiresAt: now + 60_000 }
+    const unlocked = []
+
+    const ctx = {
+      async listMetas() { return [meta] },
+      async saveMeta(m) { Object.assign(meta, m) },
+      async onUnlock(m) { unlocked.push(m.id) }
+    }
+
+    const auto = createEphemeralAutoGC(ctx, { mode: 'deadline', intervalMs: 60_000 })
+    const events = []
+    auto.on('unlocked', (m) => events.push(m.id))
+    auto.start()
+
+    t.teardown(() => auto.stop(), { order: -1 })
+
+    await new Promise(resolve => setTimeout(resolve, 150))
+
+    t.alike(unlocked, ['a'])
+    t.alike(events, ['a'])
+  })
+
+  test('should wake up for expiring-soon warnings', async (t) => {
+    const now = getNow()
+    const meta = { id: 'a', createdAt: now, updatedAt: now, expiresAt: now + 60_050 }
+
+    const ctx = {
+      expiringSoonLeadMs: [60_000],
+      async listMetas() { return [meta] },
+      async saveMeta(m) { Object.assign(meta, m) },
+      async onExpiringSoon() { }
+    }
+
+    const auto = createEphemeralAutoGC(ctx, { mode: 'deadline', intervalMs: 60_000 })
+    const events = []
+    auto.on('expiring-soon', (m, leadMs) => events.push([m.id, leadMs]))
+    auto.start()
+
+    t.teardown(() => auto.stop(), { order: -1 })
+
+    await new Promise(resolve => setTimeout(resolve, 150))
+
+    t.alike(events, [['a', 60_000]])
+  })
+
+  test('should purge tombstoned sessions when the grace period ends', async (t) => {
+    const now = getNow()
+    const stored = new Map([['a', { id: 'a', createdAt: now, updatedAt: now, expiresAt: now - 1 }]])
+    const expired = []
+
+    const ctx = {
+      graceMs: 50,
+      async listMetas() { return [...stored.values()] },
+      async saveMeta(m) { stored.set(m.id, m) },
+      async onExpire(m) {
+        expired.push(m.id)
+        stored.delete(m.id)
+      }
+    }
+
+    const auto = createEphemeralAutoGC(ctx, { mode: 'deadline', intervalMs: 60_000 })
+    const tombstoned = []
+    auto.on('tombstoned', (m) => tombstoned.push(m.id))
+    auto.start()
+
+    t.teardown(() => auto.stop(), { order: -1 })
+
+    await new Promise(resolve => setTimeout(resolve, 20))
+    t.alike(tombstoned, ['a'])
+    t.alike(expired, [])
+
+    await new Promise(resolve => setTimeout(resolve, 130))
+    t.alike(expired, ['a'])
+  })
+
+  test('should only re-read the due metas through ctx.readMeta', async (t) => {
+    const clock = createManualClock({ start: 1_000_000 })
+    const now = clock.now()
+    const stored = new Map()
+    for (let i = 0; i < 200; i++) {
+      const id = `s${String(i).padStart(3, '0')}`
+      stored.set(id, { id, createdAt: now, updatedAt: now, expiresAt: now + (i + 1) * 1000 })
+    }
+    let listCalls = 0
+    let reads = 0
+
+    const ctx = {
+      async listMetas() {
+        listCalls++
+        return [...stored.values()]
+      },
+      async readMeta(id) {
+        reads++
+        return stored.get(id) ?? null
+      },
+      async saveMeta() { },
+      async onExpire(meta) {
+        stored.delete(meta.id)
+      }
+    }
+
+    const auto = createEphemeralAutoGC(ctx, { mode: 'deadline', nowFn: clock.now, timers: clock.timers })
+    const scanned = once(auto, 'run-end')
+    auto.start()
+    t.teardown(() => auto.stop(), { order: -1 })
+    await scanned
+
+    await clock.advance(200 * 1000)
+
+    t.is(stored.size, 0)
+    t.is(listCalls, 1, 'should only list on start')
+    t.is(reads, 200, 'should read each meta once, when it is due')
+  })
+
+  test('should keep deadlines scheduled while a full run is in flight', async (t) => {
+    const clock = createManualClock({ start: 1_000_000 })
+    const now = clock.now()
+    const stored = new Map([
+      ['a', { id: 'a', createdAt: now, updatedAt: now }],
+      ['b', { id: 'b', createdAt: now, updatedAt: now }]
+    ])
+    const expired = []
+
+    const ctx = {
+      async * listMetas() {
+        for (const meta of [...stored.values()]) {
+          yield meta
+          // b gets an expiry after the listing has passed it
+          if (meta.id === 'b' && !meta.expiresAt) {
+            const updated = { ...meta, expiresAt: now + 100 }
+            stored.set('b', updated)
+            auto.schedule(updated)
+          }
+        }
+      },
+      async saveMeta() { },
+      async onExpire(meta) {
+        expired.push(meta.id)
+        stored.delete(meta.id)
+      }
+    }
+
+    const auto = createEphemeralAutoGC(ctx, { mode: 'deadline', nowFn: clock.now, timers: clock.timers })
+    const scanned = once(auto, 'run-end')
+    auto.start()
+    t.teardown(() => auto.stop(), { order: -1 })
+    await scanned
+
+    await clock.advance(100)
+
+    t.alike(expired, ['b'])
+  })
+
+  test('should retry a failed announcement after intervalMs', async (t) => {
+    const clock = createManualClock({ start: 1_000_000 })
+    const now = clock.now()
+    const meta = { id: 'a', createdAt: now, updatedAt: now, unlockAt: now + 10, expiresAt: now + 60 * 60_000 }
+    let calls = 0
+
+    const ctx = {
+      async listMetas() { return [meta] },
+      async saveMeta() { },
+      async onUnlock() {
+        calls++
+        throw new Error('push service down')
+      }
+    }
+
+    const auto = createEphemeralAutoGC(ctx, {
+      mode: 'deadline',
+      intervalMs: 60_000,
+      nowFn: clock.now,
+      timers: clock.timers,
+      logger: createSilentLogger()
+    })
+    const scanned = once(auto, 'run-end')
+    auto.start()
+    t.teardown(() => auto.stop(), { order: -1 })
+    await scanned
+
+    await clock.advance(1000)
+    t.is(calls, 1, 'should not call the hook again right away')
+
+    await clock.advance(60_000)
+    t.is(calls, 2)
+  })
+
+  test('should ignore schedule in interval mode', (t) => {
+    const ctx = {
+      async listMetas() { return [] },
+      async saveMeta() { }
+    }
+
+    const auto = createEphemeralAutoGC(ctx)
+    auto.schedule({ id: 'x', expiresAt: getNow() })
+    t.is(auto.isRunning(), false)
+  })
+})
+
+test('auto-gc: events', (t) => {
+  test('should emit run-start, expired and run-end', async (t) => {
+    const now = getNow()
+    const events = []
+
+    const ctx = {
+      async listMetas() {
+        return [{ id: 'old', createdAt: now, updatedAt: now, expiresAt: now - 1000 }]
+      },
+      async saveMeta() { },
+      async onExpire() { }
+    }
+
+    const auto = createEphemeralAutoGC(ctx, { intervalMs: 30 })
+    t.ok(typeof auto.on === 'function', 'controller should be an event emitter')
+
+    auto.on('run-start', () => events.push('run-start'))
+    auto.on('expired', (meta, session) => events.push(`expired:${meta.id}:${session.status}`))
+    auto.on('run-end', (report) => events.push(`run-end:${report.expired}`))
+
+    auto.start()
+    t.teardown(() => {
+      auto.stop()
+    }, { order: -1 })
+
+    await new Promise(resolve => setTimeout(resolve, 50))
+
+    t.alike(events.slice(0, 3), ['run-start', 'expired:old:deleted', 'run-end:1'])
+  })
+
+  test('should emit error and backoff instead of logging', async (t) => {
+    const warnings = []
+    const originalWarn = console.warn
+    const originalError = console.error
+    console.warn = (msg) => warnings.push(msg)
+    console.error = () => { }
+    t.teardown(() => {
+      console.warn = originalWarn
+      console.error = originalError
+    }, { order: Infinity })
+
+    const ctx = {
+      async listMetas() {
+        throw new Error('GC error')
+      },
+      async saveMeta() { }
+    }
+
+    const auto = createEphemeralAutoGC(ctx, { intervalMs: 20, retry: { jitter: 0 } })
+    const errors = []
+    const backoffs = []
+    auto.on('error', (err) => errors.push(err.message))
+    auto.on('backoff', (info) => backoffs.push(info))
+
+    auto.start()
+    t.teardown(() => {
+      auto.stop()
+    }, { order: -1 })
+
+    await new Promise(resolve => setTimeout(resolve, 50))
+
+    t.ok(errors.length >= 1)
+    t.is(errors[0], 'GC error')
+    const { nextAttemptAt, ...backoff } = backoffs[0]
+    t.alike(backoff, { consecutiveErrors: 1, maxConsecutiveErrors: 5, delayMs: 20 })
+    t.ok(typeof nextAttemptAt === 'number')
+    t.ok(!warnings.some((msg) => String(msg).includes('auto-GC error')), 'should not log when listened')
+  })
+
+  test('should emit stopped with reason', async (t) => {
+    const originalWarn = console.warn
+    const originalError = console.error
+    console.warn = () => { }
+    console.error = () => { }
+    t.teardown(() => {
+      console.warn = originalWarn
+      console.error = originalError
+    }, { order: Infinity })
+
+    const failing = createEphemeralAutoGC({
+      async listMetas() {
+        throw new Error('GC error')
+      },
+      async saveMeta() { }
+    }, { intervalMs: 10 })
+
+    const stopped = new Promise(resolve => failing.once('stopped', resolve))
+    failing.start()
+    t.alike(await stopped, { reason: 'too-many-errors' })
+    t.is(failing.isRunning(), false)
+
+    const manual = createEphemeralAutoGC({
+      async listMetas() { return [] },
+      async saveMeta() { }
+    })
+    const reasons = []
+    manual.on('stopped', ({ reason }) => reasons.push(reason))
+    manual.start()
+    await Promise.all([manual.stop(), manual.stop()])
+    t.alike(reasons, ['manual'], 'should emit once per stop')
+  })
+})
+
+test('auto-gc: logger', (t) => {
+  test('should route errors to the given logger', async (t) => {
+    const warnings = []
+    const errors = []
+    const logger = {
+      warn: (msg, fields) => warnings.push({ msg, fields }),
+      error: (msg) => errors.push(msg)
+    }
+
+    const ctx = {
+      async listMetas() {
+        throw new Error('GC error')
+      },
+      async saveMeta() { }
+    }
+
+    const auto = createEphemeralAutoGC(ctx, { intervalMs: 10, logger })
+    const stopped = new Promise(resolve => auto.once('stopped', resolve))
+    auto.start()
+    await stopped
+
+    t.is(warnings.length, 5)
+    t.is(warnings[0].msg, 'auto-GC error (1/5)')
+    t.is(warnings[0].fields.error.message, 'GC error')
+    t.is(warnings[0].fields.consecutiveErrors, 1)
+    t.ok(errors.includes('Too many GC errors, stopping auto-GC'))
+  })
+
+  test('should be quiet with the silent logger', async (t) => {
+    const calls = []
+    const originalWarn = console.warn
+    const originalError = console.error
+    console.warn = (msg) => calls.push(msg)
+    console.error = (msg) => calls.push(msg)
+    t.teardown(() => {
+      console.warn = originalWarn
+      console.error = originalError
+    }, { order: Infinity })
+
+    const auto = createEphemeralAutoGC({
+      async listMetas() {
+        throw new Error('GC error')
+      },
+      async saveMeta() { }
+    }, { intervalMs: 10, logger: createSilentLogger() })
+
+    const stopped = new Promise(resolve => auto.once('stopped', resolve))
+    auto.start()
+    await stopped
+
+    t.alike(calls, [])
+  })
+})
+
+test('auto-gc: retry policy', (t) => {
+  test('should back off exponentially up to maxDelayMs', async (t) => {
+    const ctx = {
+      async listMetas() {
+        throw new Error('GC error')
+      },
+      async saveMeta() { }
+    }
+
+    const auto = createEphemeralAutoGC(ctx, {
+      intervalMs: 5,
+      retry: { factor: 2, maxDelayMs: 20, jitter: 0, maxConsecutiveErrors: 5 },
+      logger: createSilentLogger()
+    })
+    const delays = []
+    auto.on('backoff', ({ delayMs }) => delays.push(delayMs))
+
+    const stopped = new Promise(resolve => auto.once('stopped', resolve))
+    auto.start()
+    await stopped
+
+    t.alike(delays, [5, 10, 20, 20])
+  })
+
+  test('should apply jitter within bounds', async (t) => {
+    const ctx = {
+      async listMetas() {
+        throw new Error('GC error')
+      },
+      async saveMeta() { }
+    }
+
+    const auto = createEphemeralAutoGC(ctx, {
+      intervalMs: 10,
+      retry: { jitter: 0.5, maxConsecutiveErrors: 2 },
+      logger: createSilentLogger()
+    })
+    const delays = []
+    auto.on('backoff', ({ delayMs }) => delays.push(delayMs))
+
+    const stopped = new Promise(resolve => auto.once('stopped', resolve))
+    auto.start()
+    await stopped
+
+    t.is(delays.length, 1)
+    t.ok(delays[0] >= 5 && delays[0] <= 10)
+  })
+
+  test('should never give up with maxConsecutiveErrors Infinity', async (t) => {
+    let calls = 0
+    const ctx = {
+      async listMetas() {
+        calls++
+        throw new Error('GC error')
+      },
+      async saveMeta() { }
+    }
+
+    const auto = createEphemeralAutoGC(ctx, {
+      intervalMs: 5,
+      retry: { maxDelayMs: 5, maxConsecutiveErrors: Infinity, jitter: 0 },
+      logger: createSilentLogger()
+    })
+    auto.start()
+    t.teardown(() => {
+      auto.stop()
+    }, { order: -1 })
+
+    await new Promise(resolve => setTimeout(resolve, 100))
+
+    t.ok(calls > 5, 'should keep retrying')
+    t.is(auto.isRunning(), true)
+  })
+
+  test('should expose failure state and reset it after recovery', async (t) => {
+    let fail = true
+    const ctx = {
+      async listMetas() {
+        if (fail) throw new Error('GC error')
+        return []
+      },
+      async saveMeta() { }
+    }
+
+    let clock = 1000
+    const auto = createEphemeralAutoGC(ctx, {
+      intervalMs: 20,
+      nowFn: () => clock,
+      retry: { jitter: 0 },
+      logger: createSilentLogger()
+    })
+
+    t.alike(auto.getFailureState(), {
+      consecutiveErrors: 0, lastError: null, lastErrorAt: null, nextAttemptAt: null
+    })
+
+    const backoff = new Promise(resolve => auto.once('backoff', resolve))
+    auto.start()
+    t.teardown(() => {
+      auto.stop()
+    }, { order: -1 })
+    await backoff
+
+    const failed = auto.getFailureState()
+    t.is(failed.consecutiveErrors, 1)
+    t.is(failed.lastError.message, 'GC error')
+    t.is(failed.lastErrorAt, 1000)
+    t.is(failed.nextAttemptAt, 1020)
+
+    fail = false
+    clock = 2000
+    await new Promise(resolve => auto.once('run-end', resolve))
+
+    const recovered = auto.getFailureState()
+    t.is(recovered.consecutiveErrors, 0)
+    t.is(recovered.nextAttemptAt, null)
+    t.is(recovered.lastError.message, 'GC error', 'should keep the last error')
+  })
+
+  test('should throw for invalid retry options', (t) => {
+    const ctx = {
+      async listMetas() { return [] },
+      async saveMeta() { }
+    }
+
+    t.exception(() => createEphemeralAutoGC(ctx, { retry: { factor: 0.5 } }))
+    t.exception(() => createEphemeralAutoGC(ctx, { retry: { jitter: 2 } }))
+    t.exception(() => createEphemeralAutoGC(ctx, { retry: { initialDelayMs: 100, maxDelayMs: 10 } }))
+    t.exception(() => createEphemeralAutoGC(ctx, { retry: { maxConsecutiveErrors: 0 } }))
+  })
+})
+
+test('auto-gc: single flight', (t) => {
+  test('should coalesce ticks while a run is in flight', async (t) => {
+    const now = getNow()
+    let running = 0
+    let maxRunning = 0
+    let listCalls = 0
+
+    const ctx = {
+      async listMetas() {
+        listCalls++
+        running++
+        maxRunning = Math.max(maxRunning, running)
+        await new Promise(resolve => setTimeout(resolve, 100))
+        running--
+        return []
+      },
+      async saveMeta() { }
+    }
+
+    // Rescans every 10ms while each run takes 100ms
+    const auto = createEphemeralAutoGC(ctx, { mode: 'deadline', rescanIntervalMs: 10 })
+    auto.start()
+    await new Promise(resolve => setTimeout(resolve, 120))
+    auto.schedule({ id: 'x', createdAt: now, updatedAt: now, expiresAt: now })
+    await auto.stop()
+
+    t.is(maxRunning, 1, 'should never overlap runs')
+    t.is(listCalls, 2, 'should coalesce ticks into one follow-up run')
+  })
+
+  test('should resolve stop after the in-flight run and abort between sessions', async (t) => {
+    const now = getNow()
+    const expired = []
+    let release
+    let entered
+    const gate = new Promise(resolve => { release = resolve })
+    const inSession = new Promise(resolve => { entered = resolve })
+
+    const ctx = {
+      async listMetas() {
+        return ['a', 'b', 'c'].map((id) => ({ id, createdAt: now, updatedAt: now, expiresAt: now - 1 }))
+      },
+      async saveMeta() { },
+      async onExpire(meta) {
+        if (meta.id === 'a') {
+          entered()
+          await gate
+        }
+        expired.push(meta.id)
+      }
+    }
+
+    const events = []
+    const auto = createEphemeralAutoGC(ctx, { mode: 'deadline', logger: createSilentLogger() })
+    auto.on('error', (err) => events.push(`error:${err.name}`))
+    auto.on('stopped', ({ reason }) => events.push(`stopped:${reason}`))
+    auto.start()
+    await inSession
+
+    const stopping = auto.stop()
+    t.is(auto.isRunning(), false)
+    t.alike(events, [], 'should not emit stopped while a run is in flight')
+
+    release()
+    await stopping
+
+    t.alike(expired, ['a'], 'should finish the current session and skip the rest')
+    t.alike(events, ['stopped:manual'], 'should not report the abort as an error')
+    t.is(auto.getFailureState().consecutiveErrors, 0)
+  })
+})
+
+test('auto-gc: budgets', (t) => {
+  test('should continue a truncated run from its cursor', async (t) => {
+    const now = getNow()
+    const cursors = []
+    const expired = []
+
+    const ctx = {
+      async listMetas(opts) {
+        cursors.push(opts.cursor)
+        return ['a', 'b', 'c']
+          .filter((id) => !expired.includes(id))
+          .map((id) => ({ id, createdAt: now, updatedAt: now, expiresAt: now - 1 }))
+      },
+      async saveMeta() { },
+      async onExpire(meta) {
+        expired.push(meta.id)
+      }
+    }
+
+    const auto = createEphemeralAutoGC(ctx, { mode: 'deadline', intervalMs: 10, maxItemsPerRun: 2 })
+    const reports = []
+    auto.on('run-end', (report) => reports.push(report))
+    auto.start()
+    t.teardown(() => auto.stop(), { order: -1 })
+
+    await new Promise(resolve => setTimeout(resolve, 60))
+
+    t.alike(expired, ['a', 'b', 'c'])
+    t.alike(cursors.slice(0, 2), [undefined, 'b'])
+    t.is(reports[0].truncated, true)
+    t.is(reports[1].truncated, false)
+  })
+})
+
+
+test('auto-gc: manual clock', (t) => {
+  test('should simulate a schedule of unlocks and expiries', async (t) => {
+    const clock = createManualClock({ start: 1_000_000 })
+    const start = clock.now()
+    const hour = 60 * 60_000
+    const metas = [
+      { id: 'a', createdAt: start, updatedAt: start, unlockAt: start + hour, expiresAt: start + 2 * hour },
+      { id: 'b', createdAt: start, updatedAt: start, expiresAt: start + 24 * hour }
+    ]
+    const events = []
+
+    const ctx = {
+      async listMetas() { return metas },
+      async saveMeta(meta) {
+        metas[metas.findIndex((m) => m.id === meta.id)] = meta
+      },
+      async onUnlock(meta) { },
+      async onExpire(meta) {
+        metas.splice(metas.findIndex((m) => m.id === meta.id), 1)
+      }
+    }
+
+    const auto = createEphemeralAutoGC(ctx, {
+      mode: 'deadline',
+      nowFn: clock.now,
+      timers: clock.timers,
+      logger: createSilentLogger()
+    })
+    auto.on('unlocked', (meta) => events.push(`unlocked:${meta.id}@${(clock.now() - start) / hour}h`))
+    auto.on('expired', (meta) => events.push(`expired:${meta.id}@${(clock.now() - start) / hour}h`))
+
+    auto.start()
+    t.teardown(() => auto.stop(), { order: -1 })
+
+    await clock.advance(48 * hour)
+
+    t.alike(events, ['unlocked:a@1h', 'expired:a@2h', 'expired:b@24h'])
+  })
+
+  test('should run interval mode on the manual clock', async (t) => {
+    const clock = createManualClock()
+    let runs = 0
+    const ctx = {
+      async listMetas() {
+        runs++
+        return []
+      },
+      async saveMeta() { }
+    }
+
+    const auto = createEphemeralAutoGC(ctx, { intervalMs: 1000, nowFn: clock.now, timers: clock.timers })
+    auto.start()
+
+    await clock.advance(999)
+    t.is(runs, 0)
+    await clock.advance(1)
+    t.is(runs, 1)
+    await clock.advance(5000)
+    t.is(runs, 6)
+
+    await auto.stop()
+    t.is(clock.pending(), 0, 'should clear its timers on stop')
+  })
+
+  test('should reject incomplete timers', (t) => {
+    const ctx = { async listMetas() { return [] }, async saveMeta() { } }
+    t.exception(() => createEphemeralAutoGC(ctx, { timers: { setTimeout } }), /timers must provide/)
+  })
 })
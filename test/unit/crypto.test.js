@@ -0,0 +1,36 @@
+import test from 'brittle'
+import { decryptPayload, encryptPayload, generateDataKey } from '../../lib/crypto.js'
+
+test('crypto: encryptPayload/decryptPayload', (t) => {
+  test('should round-trip a payload', (t) => {
+    const key = generateDataKey()
+    const plaintext = Buffer.from('hello ephemeral')
+
+    const encrypted = encryptPayload(key, plaintext, '/s/a/file.txt')
+    t.ok(!encrypted.includes(plaintext), 'ciphertext should not contain plaintext')
+    t.alike(decryptPayload(key, encrypted, '/s/a/file.txt'), plaintext)
+  })
+
+  test('should fail with the wrong key', (t) => {
+    const encrypted = encryptPayload(generateDataKey(), Buffer.from('secret'), 'p')
+    t.exception(() => decryptPayload(generateDataKey(), encrypted, 'p'))
+  })
+
+  test('should fail when moved to another path', (t) => {
+    const key = generateDataKey()
+    const encrypted = encryptPayload(key, Buffer.from('secret'), '/s/a/x')
+    t.exception(() => decryptPayload(key, encrypted, '/s/b/x'))
+  })
+
+  test('should fail on tampered ciphertext', (t) => {
+    const key = generateDataKey()
+    const encrypted = encryptPayload(key, Buffer.from('secret'), 'p')
+    encrypted[encrypted.length - 1] ^= 1
+    t.exception(() => decryptPayload(key, encrypted, 'p'))
+  })
+
+  test('should reject invalid keys and payloads', (t) => {
+    t.exception(() => encryptPayload(Buffer.alloc(16), Buffer.from('x'), 'p'))
+    t.exception(() => decryptPayload(generateDataKey(), Buffer.alloc(4), 'p'))
+  })
+})
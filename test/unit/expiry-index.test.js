@@ -0,0 +1,86 @@
+import test from 'brittle'
+import { collect, createTestDrive } from '../helpers.js'
+import { createExpiryIndex, openExpiryIndex } from '../../lib/expiry-index.js'
+
+async function createTestIndex(t, options) {
+  const { store, cleanup } = await createTestDrive()
+  const bee = await openExpiryIndex(store)
+  t.teardown(async () => {
+    await bee.close()
+    await cleanup()
+  }, { order: Infinity })
+  return createExpiryIndex(bee, options)
+}
+
+test('expiry-index: createExpiryIndex', (t) => {
+  test('should throw without a bee', (t) => {
+    t.exception(() => createExpiryIndex())
+  })
+
+  test('should return due entries earliest first', async (t) => {
+    const index = await createTestIndex(t)
+
+    await index.put({ id: 'c', expiresAt: 3000 })
+    await index.put({ id: 'a', expiresAt: 1000 })
+    await index.put({ id: 'b', expiresAt: 2000 })
+    await index.put({ id: 'forever' })
+
+    const due = await collect(index.due(2000))
+    t.alike(due.map((e) => e.id), ['a', 'b'])
+
+    const next = await index.next()
+    t.alike(next, { id: 'a', expiresAt: 1000 })
+  })
+
+  test('should order deadlines numerically, not lexically', async (t) => {
+    const index = await createTestIndex(t)
+
+    await index.put({ id: 'big', expiresAt: 100_000 })
+    await index.put({ id: 'small', expiresAt: 9 })
+
+    const due = await collect(index.due(100_000))
+    t.alike(due.map((e) => e.id), ['small', 'big'])
+  })
+
+  test('should move entry when expiresAt changes', async (t) => {
+    const index = await createTestIndex(t)
+
+    await index.put({ id: 'a', expiresAt: 1000 })
+    await index.put({ id: 'a', expiresAt: 5000 })
+
+    t.alike(await collect(index.due(2000)), [])
+    t.alike(await collect(index.entries()), [{ id: 'a', expiresAt: 5000 }])
+  })
+
+  test('should drop entry when expiresAt is removed', async (t) => {
+    const index = await createTestIndex(t)
+
+    await index.put({ id: 'a', expiresAt: 1000 })
+    await index.put({ id: 'a' })
+
+    t.is(await index.next(), null)
+    t.alike(await collect(index.entries()), [])
+  })
+
+  test('should index by deadlineOf when given', async (t) => {
+    const index = await createTestIndex(t, { deadlineOf: (meta) => meta.unlockAt ?? meta.expiresAt })
+
+    t.is(await index.put({ id: 'a', unlockAt: 500, expiresAt: 3000 }), true)
+    t.is(await index.put({ id: 'b', expiresAt: 1000 }), true)
+    t.is(await index.put({ id: 'forever' }), false)
+
+    t.alike((await collect(index.due(1000))).map((e) => e.id), ['a', 'b'])
+    t.alike(await index.next(), { id: 'a', expiresAt: 500 })
+  })
+
+  test('should delete entries', async (t) => {
+    const index = await createTestIndex(t)
+
+    await index.put({ id: 'a', expiresAt: 1000 })
+    await index.del('a')
+    await index.del('missing')
+
+    t.alike(await collect(index.due(2000)), [])
+    t.is(await index.next(), null)
+  })
+})
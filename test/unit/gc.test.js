@@ -7,6 +7,11 @@ function getNow() {
   return createMonotonicNow()()
 }
 
+// Metas that expired just before `now`
+function expiredMetas(ids, now) {
+  return ids.map((id) => ({ id, createdAt: now, updatedAt: now, expiresAt: now - 1 }))
+}
+
 test('gc: runEphemeralGC', (t) => {
   test('should return zero expired when no metas', async (t) => {
     const ctx = {
@@ -162,4 +167,896 @@ test('gc: runEphemeralGC', (t) => {
     t.is(result.expired, 1)
     t.alike(expired, ['expire'])
   })
+
+  test('should report pending metas with future expiresAt', async (t) => {
+    const now = getNow()
+    const pending = []
+
+    const ctx = {
+      async listMetas() {
+        return [
+          { id: 'expired', createdAt: now, updatedAt: now, expiresAt: now - 1000 },
+          { id: 'pending', createdAt: now, updatedAt: now, expiresAt: now + 1000 },
+          { id: 'forever', createdAt: now, updatedAt: now }
+        ]
+      },
+      async saveMeta() { }
+    }
+
+    await runEphemeralGC(ctx, {
+      nowFn: () => now,
+      onPending: (meta) => pending.push(meta.id)
+    })
+
+    t.alike(pending, ['pending'])
+  })
+
+  test('should sum reclaimedBytes reported by onExpire', async (t) => {
+    const now = getNow()
+
+    const ctx = {
+      async listMetas() {
+        return [
+          { id: 'a', createdAt: now, updatedAt: now, expiresAt: now - 1000 },
+          { id: 'b', createdAt: now, updatedAt: now, expiresAt: now - 1000 },
+          { id: 'c', createdAt: now, updatedAt: now, expiresAt: now - 1000 }
+        ]
+      },
+      async saveMeta() { },
+      async onExpire(meta) {
+        if (meta.id === 'c') return undefined
+        return { reclaimedBytes: meta.id === 'a' ? 100 : 50 }
+      }
+    }
+
+    const result = await runEphemeralGC(ctx, { nowFn: () => now })
+    t.is(result.expired, 3)
+    t.is(result.reclaimedBytes, 150)
+  })
+
+  test('should plan without expiring in dry run', async (t) => {
+    const now = 1_000_000
+    const expired = []
+
+    const ctx = {
+      async listMetas() {
+        return [
+          { id: 'a', createdAt: now, updatedAt: now, expiresAt: now - 5000 },
+          { id: 'b', createdAt: now, updatedAt: now, expiresAt: now + 5000 }
+        ]
+      },
+      async saveMeta() { },
+      async onExpire(meta) {
+        expired.push(meta.id)
+      },
+      async planExpire(meta) {
+        return { paths: [{ path: `/s/${meta.id}/x`, bytes: 3 }], bytes: 3 }
+      }
+    }
+
+    const result = await runEphemeralGC(ctx, { nowFn: () => now, dryRun: true })
+    t.is(result.expired, 1)
+    t.is(expired.length, 0, 'should not call onExpire')
+    t.alike(result.plan, [{
+      id: 'a',
+      expiresAt: now - 5000,
+      overdueMs: 5000,
+      paths: [{ path: '/s/a/x', bytes: 3 }],
+      bytes: 3
+    }])
+  })
+
+  test('should not include plan outside dry run', async (t) => {
+    const ctx = {
+      async listMetas() { return [] },
+      async saveMeta() { }
+    }
+
+    const result = await runEphemeralGC(ctx)
+    t.is(result.plan, undefined)
+  })
+
+})
+
+test('gc: report', (t) => {
+  test('should classify session outcomes', async (t) => {
+    const now = 1_000_000
+
+    const ctx = {
+      async listMetas() {
+        return ['ok', 'partial', 'failed', 'throws'].map((id) => ({
+          id, createdAt: now, updatedAt: now, expiresAt: now - 1000
+        }))
+      },
+      async saveMeta() { },
+      async onExpire(meta) {
+        if (meta.id === 'ok') return { reclaimedBytes: 10, deleted: ['/s/ok/a'], failed: [] }
+        if (meta.id === 'partial') {
+          return { deleted: ['/s/partial/a'], failed: [{ path: '/s/partial/b', error: 'EIO' }] }
+        }
+        if (meta.id === 'failed') return { deleted: [], failed: [{ path: '/s/failed/a', error: 'EIO' }] }
+        throw new Error('boom')
+      }
+    }
+
+    const result = await runEphemeralGC(ctx, { nowFn: () => now })
+    t.is(result.expired, 1)
+    t.is(result.partial, 1)
+    t.is(result.failed, 2)
+    t.is(result.scanned, 4)
+    t.is(result.reclaimedBytes, 10)
+    t.is(result.now, now)
+
+    const byId = Object.fromEntries(result.sessions.map((s) => [s.id, s]))
+    t.is(byId.ok.status, 'deleted')
+    t.is(byId.partial.status, 'partial')
+    t.alike(byId.partial.failures, [{ path: '/s/partial/b', error: 'EIO' }])
+    t.is(byId.failed.status, 'failed')
+    t.is(byId.throws.status, 'failed')
+    t.alike(byId.throws.failures, [{ error: 'boom' }])
+  })
+
+  test('should report skipped entries from listMetas', async (t) => {
+    const ctx = {
+      async listMetas(opts) {
+        opts.onSkip({ path: '/s/bad/meta.json', reason: 'Invalid expiresAt in meta' })
+        return [null]
+      },
+      async saveMeta() { }
+    }
+
+    const result = await runEphemeralGC(ctx)
+    t.is(result.scanned, 0)
+    t.alike(result.skipped, [
+      { path: '/s/bad/meta.json', reason: 'Invalid expiresAt in meta' },
+      { reason: 'empty entry' }
+    ])
+  })
+
+  test('should call onExpired for each expiry attempt', async (t) => {
+    const now = 1_000_000
+    const calls = []
+
+    const ctx = {
+      async listMetas() {
+        return ['a', 'b'].map((id) => ({ id, createdAt: now, updatedAt: now, expiresAt: now - 1 }))
+      },
+      async saveMeta() { },
+      async onExpire(meta) {
+        if (meta.id === 'b') throw new Error('boom')
+      }
+    }
+
+    await runEphemeralGC(ctx, {
+      nowFn: () => now,
+      onExpired: (meta, session) => calls.push([meta.id, session.status])
+    })
+    t.alike(calls, [['a', 'deleted'], ['b', 'failed']])
+  })
+
+  test('should log listing errors through the given logger', async (t) => {
+    const errors = []
+    const ctx = {
+      listMetas() {
+        return 'not a list'
+      },
+      async saveMeta() { }
+    }
+
+    await t.exception(runEphemeralGC(ctx, {
+      logger: { error: (msg, fields) => errors.push({ msg, fields }) }
+    }))
+    t.is(errors.length, 1)
+    t.is(errors[0].msg, 'Error in normalizeList')
+    t.ok(errors[0].fields.error instanceof Error)
+  })
+
+  test('should stop between sessions when aborted', async (t) => {
+    const now = 1_000_000
+    const controller = new AbortController()
+    const expired = []
+
+    const ctx = {
+      async listMetas() {
+        return ['a', 'b'].map((id) => ({ id, createdAt: now, updatedAt: now, expiresAt: now - 1 }))
+      },
+      async saveMeta() { },
+      async onExpire(meta) {
+        expired.push(meta.id)
+        controller.abort()
+      }
+    }
+
+    await t.exception(runEphemeralGC(ctx, { nowFn: () => now, signal: controller.signal }), /abort/i)
+    t.alike(expired, ['a'])
+  })
+
+  test('should not list when already aborted', async (t) => {
+    let listed = false
+    const ctx = {
+      async listMetas(opts) {
+        listed = true
+        return []
+      },
+      async saveMeta() { }
+    }
+
+    await t.exception(runEphemeralGC(ctx, { signal: AbortSignal.abort() }))
+    t.is(listed, false)
+  })
+
+  test('should pass the signal to listMetas', async (t) => {
+    const controller = new AbortController()
+    let received = null
+    const ctx = {
+      async listMetas(opts) {
+        received = opts.signal
+        return []
+      },
+      async saveMeta() { }
+    }
+
+    await runEphemeralGC(ctx, { signal: controller.signal })
+    t.is(received, controller.signal)
+  })
+
+  test('should report phase durations', async (t) => {
+    const ctx = {
+      async listMetas() { return [] },
+      async saveMeta() { }
+    }
+
+    const { phases } = await runEphemeralGC(ctx)
+    t.ok(phases.listMs >= 0)
+    t.ok(phases.expireMs >= 0)
+    t.ok(phases.totalMs >= phases.listMs)
+  })
+})
+
+test('gc: streaming and budgets', (t) => {
+  const now = 1_000_000
+
+  test('should consume listMetas lazily', async (t) => {
+    const events = []
+    const ctx = {
+      async *listMetas() {
+        for (const meta of expiredMetas(['a', 'b'], now)) {
+          events.push(`list:${meta.id}`)
+          yield meta
+        }
+      },
+      async saveMeta() { },
+      async onExpire(meta) {
+        events.push(`expire:${meta.id}`)
+      }
+    }
+
+    await runEphemeralGC(ctx, { nowFn: () => now })
+    t.alike(events, ['list:a', 'expire:a', 'list:b', 'expire:b'])
+  })
+
+  test('should yield to the event loop between batches', async (t) => {
+    let immediateFired = false
+    const seen = []
+    const ctx = {
+      async listMetas() {
+        return expiredMetas(['a', 'b', 'c', 'd'], now)
+      },
+      async saveMeta() { },
+      async onExpire() {
+        seen.push(immediateFired)
+      }
+    }
+
+    setImmediate(() => { immediateFired = true })
+    await runEphemeralGC(ctx, { nowFn: () => now, batchSize: 2 })
+    t.alike(seen, [false, false, true, true])
+  })
+
+  test('should stop at maxItemsPerRun and resume from the cursor', async (t) => {
+    const expired = []
+    let closed = 0
+    const ctx = {
+      async *listMetas() {
+        try {
+          yield* expiredMetas(['a', 'b', 'c'], now)
+        } finally {
+          closed++
+        }
+      },
+      async saveMeta() { },
+      async onExpire(meta) {
+        expired.push(meta.id)
+      }
+    }
+
+    const first = await runEphemeralGC(ctx, { nowFn: () => now, maxItemsPerRun: 2 })
+    t.is(first.truncated, true)
+    t.is(first.cursor, 'b')
+    t.is(first.scanned, 2)
+    t.is(closed, 1, 'should close the listing when truncated')
+
+    const second = await runEphemeralGC(ctx, { nowFn: () => now, maxItemsPerRun: 2, cursor: first.cursor })
+    t.is(second.truncated, false)
+    t.is(second.cursor, null)
+    t.alike(expired, ['a', 'b', 'c'])
+  })
+
+  test('should pass the cursor to listMetas', async (t) => {
+    let received
+    const ctx = {
+      async listMetas(opts) {
+        received = opts.cursor
+        return []
+      },
+      async saveMeta() { }
+    }
+
+    await runEphemeralGC(ctx, { cursor: 'm' })
+    t.is(received, 'm')
+  })
+
+  test('should stop at maxDurationMs but always make progress', async (t) => {
+    const ctx = {
+      async *listMetas() {
+        for (const meta of expiredMetas(['a', 'b', 'c'], now)) {
+          await new Promise(resolve => setTimeout(resolve, 20))
+          yield meta
+        }
+      },
+      async saveMeta() { }
+    }
+
+    const report = await runEphemeralGC(ctx, { nowFn: () => now, maxDurationMs: 1 })
+    t.is(report.scanned, 1)
+    t.is(report.truncated, true)
+    t.is(report.cursor, 'a')
+  })
+
+  test('should ignore the cursor with listDueMetas', async (t) => {
+    const ctx = {
+      async listMetas() { return [] },
+      async *listDueMetas() {
+        yield* expiredMetas(['a', 'b'], now)
+      },
+      async saveMeta() { }
+    }
+
+    const report = await runEphemeralGC(ctx, { nowFn: () => now, cursor: 'b', maxItemsPerRun: 1 })
+    t.is(report.expired, 1)
+    t.is(report.truncated, true)
+    t.is(report.cursor, null)
+  })
+
+  test('should throw for invalid budgets', async (t) => {
+    const ctx = {
+      async listMetas() { return [] },
+      async saveMeta() { }
+    }
+
+    await t.exception(runEphemeralGC(ctx, { batchSize: 0 }))
+    await t.exception(runEphemeralGC(ctx, { maxItemsPerRun: -1 }))
+    await t.exception(runEphemeralGC(ctx, { maxDurationMs: 'soon' }))
+  })
+})
+
+test('gc: concurrency', (t) => {
+  const now = 1_000_000
+
+  test('should expire up to concurrency sessions in parallel', async (t) => {
+    let running = 0
+    let maxRunning = 0
+
+    const ctx = {
+      async listMetas() {
+        return expiredMetas(['a', 'b', 'c', 'd', 'e', 'f'], now)
+      },
+      async saveMeta() { },
+      async onExpire() {
+        running++
+        maxRunning = Math.max(maxRunning, running)
+        await new Promise(resolve => setTimeout(resolve, 10))
+        running--
+      }
+    }
+
+    const report = await runEphemeralGC(ctx, { nowFn: () => now, concurrency: 3 })
+    t.is(report.expired, 6)
+    t.is(maxRunning, 3)
+  })
+
+  test('should expire one session at a time by default', async (t) => {
+    let running = 0
+    let maxRunning = 0
+
+    const ctx = {
+      async listMetas() {
+        return expiredMetas(['a', 'b', 'c'], now)
+      },
+      async saveMeta() { },
+      async onExpire() {
+        running++
+        maxRunning = Math.max(maxRunning, running)
+        await new Promise(resolve => setTimeout(resolve, 5))
+        running--
+      }
+    }
+
+    await runEphemeralGC(ctx, { nowFn: () => now })
+    t.is(maxRunning, 1)
+  })
+
+  test('should let started sessions finish before rejecting', async (t) => {
+    const finished = []
+
+    const ctx = {
+      async listMetas() {
+        return expiredMetas(['a', 'b'], now)
+      },
+      async saveMeta() { },
+      async planExpire(meta) {
+        if (meta.id === 'a') throw new Error('boom')
+        await new Promise(resolve => setTimeout(resolve, 10))
+        finished.push(meta.id)
+        return {}
+      }
+    }
+
+    await t.exception(runEphemeralGC(ctx, { nowFn: () => now, dryRun: true, concurrency: 2 }), /boom/)
+    t.alike(finished, ['b'])
+  })
+})
+
+
+test('gc: onUnlock', (t) => {
+  const now = 1_000_000
+  const silent = { warn() { }, error() { } }
+
+  test('should announce an unlocked meta once', async (t) => {
+    const stored = new Map([['a', { id: 'a', createdAt: 0, updatedAt: 0, unlockAt: now - 1, expiresAt: now + 1000 }]])
+    const unlocked = []
+    const ctx = {
+      async listMetas() {
+        return [...stored.values()]
+      },
+      async saveMeta(meta) {
+        stored.set(meta.id, meta)
+      },
+      async onUnlock(meta) {
+        unlocked.push(meta.id)
+      }
+    }
+
+    const first = await runEphemeralGC(ctx, { nowFn: () => now })
+    const second = await runEphemeralGC(ctx, { nowFn: () => now + 1 })
+
+    t.alike(unlocked, ['a'])
+    t.is(first.unlocked, 1)
+    t.is(second.unlocked, 0)
+    t.is(stored.get('a').unlockNotifiedAt, now)
+  })
+
+  test('should save the marker before calling the hook', async (t) => {
+    const events = []
+    const ctx = {
+      async listMetas() {
+        return [{ id: 'a', createdAt: 0, updatedAt: 0, unlockAt: now - 1 }]
+      },
+      async saveMeta(meta) {
+        events.push(['save', meta.unlockNotifiedAt])
+      },
+      async onUnlock(meta) {
+        events.push(['unlock', meta.unlockNotifiedAt])
+      }
+    }
+
+    await runEphemeralGC(ctx, { nowFn: () => now })
+    t.alike(events, [['save', now], ['unlock', now]])
+  })
+
+  test('should roll back the marker when the hook fails', async (t) => {
+    const meta = { id: 'a', createdAt: 0, updatedAt: 0, unlockAt: now - 1 }
+    const saved = []
+    const ctx = {
+      async listMetas() {
+        return [meta]
+      },
+      async saveMeta(m) {
+        saved.push(m)
+      },
+      async onUnlock() {
+        throw new Error('boom')
+      }
+    }
+
+    const report = await runEphemeralGC(ctx, { nowFn: () => now, logger: silent })
+    t.is(report.unlocked, 0)
+    t.is(saved.length, 2)
+    t.is(saved[1].unlockNotifiedAt, undefined)
+  })
+
+  test('should not announce expired metas or in dry run', async (t) => {
+    const unlocked = []
+    const ctx = {
+      async listMetas() {
+        return [
+          { id: 'a', createdAt: 0, updatedAt: 0, unlockAt: now - 10, expiresAt: now - 1 },
+          { id: 'b', createdAt: 0, updatedAt: 0, unlockAt: now - 10 }
+        ]
+      },
+      async saveMeta() { },
+      async onExpire() { },
+      async onUnlock(meta) {
+        unlocked.push(meta.id)
+      }
+    }
+
+    await runEphemeralGC(ctx, { nowFn: () => now, dryRun: true })
+    t.alike(unlocked, [])
+
+    await runEphemeralGC(ctx, { nowFn: () => now })
+    t.alike(unlocked, ['b'])
+  })
+
+  test('should report the unlock deadline to onPending', async (t) => {
+    const pending = []
+    const ctx = {
+      async listMetas() {
+        return [{ id: 'a', createdAt: 0, updatedAt: 0, unlockAt: now + 10, expiresAt: now + 100 }]
+      },
+      async saveMeta() { },
+      async onUnlock() { }
+    }
+
+    await runEphemeralGC(ctx, { nowFn: () => now, onPending: (meta, deadline) => pending.push(deadline) })
+    t.alike(pending, [now + 10])
+  })
+})
+
+test('gc: onExpiringSoon', (t) => {
+  const hour = 60 * 60 * 1000
+  const expiresAt = 100 * hour
+
+  function createCtx(warnings, extra) {
+    const stored = new Map([['a', { id: 'a', createdAt: 0, updatedAt: 0, expiresAt }]])
+    return {
+      stored,
+      expiringSoonLeadMs: [24 * hour, hour],
+      async listMetas() {
+        return [...stored.values()]
+      },
+      async saveMeta(meta) {
+        stored.set(meta.id, meta)
+      },
+      async onExpire() { },
+      async onExpiringSoon(meta, leadMs) {
+        warnings.push(leadMs)
+      },
+      ...extra
+    }
+  }
+
+  test('should warn once per lead time across runs', async (t) => {
+    const warnings = []
+    const ctx = createCtx(warnings)
+
+    for (const now of [70, 76, 80, 99, 99.5]) {
+      await runEphemeralGC(ctx, { nowFn: () => now * hour })
+    }
+
+    t.alike(warnings, [24 * hour, hour])
+    t.alike(ctx.stored.get('a').expiringSoonNotified, { expiresAt, leadMs: [24 * hour, hour] })
+  })
+
+  test('should send only the shortest lead time reached', async (t) => {
+    const warnings = []
+    const ctx = createCtx(warnings)
+
+    const report = await runEphemeralGC(ctx, { nowFn: () => 99.5 * hour })
+    await runEphemeralGC(ctx, { nowFn: () => 99.6 * hour })
+
+    t.is(report.expiringSoon, 1)
+    t.alike(warnings, [hour])
+  })
+
+  test('should retry after a failing hook', async (t) => {
+    const warnings = []
+    let fail = true
+    const ctx = createCtx(warnings, {
+      async onExpiringSoon(meta, leadMs) {
+        if (fail) throw new Error('boom')
+        warnings.push(leadMs)
+      }
+    })
+    const logger = { warn() { }, error() { } }
+
+    await runEphemeralGC(ctx, { nowFn: () => 80 * hour, logger })
+    t.is(ctx.stored.get('a').expiringSoonNotified, undefined)
+
+    fail = false
+    await runEphemeralGC(ctx, { nowFn: () => 80 * hour, logger })
+    t.alike(warnings, [24 * hour])
+  })
+
+  test('should not warn in dry run', async (t) => {
+    const warnings = []
+    const ctx = createCtx(warnings)
+
+    await runEphemeralGC(ctx, { nowFn: () => 99.5 * hour, dryRun: true })
+    t.alike(warnings, [])
+  })
+
+  test('should report the next warning to onPending', async (t) => {
+    const ctx = createCtx([])
+    const pending = []
+
+    await runEphemeralGC(ctx, { nowFn: () => 0, onPending: (meta, deadline) => pending.push(deadline) })
+    t.alike(pending, [76 * hour])
+  })
+
+  test('should require lead times', async (t) => {
+    const ctx = createCtx([], { expiringSoonLeadMs: undefined })
+    await t.exception(runEphemeralGC(ctx), /expiringSoonLeadMs/)
+  })
+})
+
+test('gc: grace period', (t) => {
+  const now = 1_000_000
+
+  function createCtx(expired, extra) {
+    const stored = new Map([['a', { id: 'a', createdAt: 0, updatedAt: 0, expiresAt: now - 1 }]])
+    return {
+      stored,
+      graceMs: 1000,
+      async listMetas() {
+        return [...stored.values()]
+      },
+      async saveMeta(meta) {
+        stored.set(meta.id, meta)
+      },
+      async onExpire(meta) {
+        expired.push(meta.id)
+        stored.delete(meta.id)
+      },
+      ...extra
+    }
+  }
+
+  test('should tombstone first and purge after graceMs', async (t) => {
+    const expired = []
+    const ctx = createCtx(expired)
+
+    let report = await runEphemeralGC(ctx, { nowFn: () => now })
+    t.is(report.tombstoned, 1)
+    t.is(report.expired, 0)
+    t.alike(ctx.stored.get('a').tombstone, { expiredAt: now, reason: 'expired' })
+    t.alike(expired, [])
+
+    report = await runEphemeralGC(ctx, { nowFn: () => now + 999 })
+    t.is(report.tombstoned, 0)
+    t.alike(expired, [])
+
+    report = await runEphemeralGC(ctx, { nowFn: () => now + 1000 })
+    t.is(report.expired, 1)
+    t.alike(expired, ['a'])
+  })
+
+  test('should report the purge time to onPending', async (t) => {
+    const ctx = createCtx([])
+    const pending = []
+    const onPending = (meta, deadline) => pending.push(deadline)
+
+    await runEphemeralGC(ctx, { nowFn: () => now, onPending })
+    await runEphemeralGC(ctx, { nowFn: () => now + 10, onPending })
+    t.alike(pending, [now + 1000, now + 1000])
+  })
+
+  test('should report a failed tombstone write', async (t) => {
+    const expired = []
+    const ctx = createCtx(expired, {
+      async saveMeta() {
+        throw new Error('disk full')
+      }
+    })
+
+    const report = await runEphemeralGC(ctx, { nowFn: () => now, logger: { warn() { } } })
+    t.is(report.failed, 1)
+    t.is(report.sessions[0].failures[0].error, 'disk full')
+    t.alike(expired, [])
+  })
+
+  test('should not write tombstones in dry run', async (t) => {
+    const ctx = createCtx([])
+
+    const report = await runEphemeralGC(ctx, { nowFn: () => now, dryRun: true })
+    t.is(report.plan.length, 1)
+    t.is(ctx.stored.get('a').tombstone, undefined)
+  })
+
+  test('should reject a negative graceMs', async (t) => {
+    await t.exception(runEphemeralGC(createCtx([], { graceMs: -1 })), /graceMs/)
+  })
+})
+
+test('gc: holds', (t) => {
+  const now = 1_000_000
+  const hold = { reason: 'investigation', holder: 'legal' }
+
+  test('should keep held sessions and list them as overdue', async (t) => {
+    const expired = []
+    const meta = { id: 'a', createdAt: 0, updatedAt: 0, expiresAt: now - 1, holds: [hold] }
+    const ctx = {
+      async listMetas() {
+        return [meta, { id: 'b', createdAt: 0, updatedAt: 0, expiresAt: now - 1 }]
+      },
+      async saveMeta() { },
+      async onExpire(m) {
+        expired.push(m.id)
+      }
+    }
+
+    const report = await runEphemeralGC(ctx, { nowFn: () => now })
+    t.alike(expired, ['b'])
+    t.alike(report.held, [{ id: 'a', expiresAt: now - 1, holds: [hold] }])
+  })
+
+  test('should re-check the stored meta through ctx.updateMeta before tombstoning', async (t) => {
+    const listed = { id: 'a', createdAt: 0, updatedAt: 0, expiresAt: now - 1 }
+    // Held after it was listed
+    let stored = { ...listed, holds: [hold] }
+    const ctx = {
+      graceMs: 1000,
+      async listMetas() {
+        return [listed]
+      },
+      async saveMeta(m) {
+        stored = m
+      },
+      async updateMeta(id, fn) {
+        const updated = fn(stored)
+        if (updated) stored = updated
+        return updated
+      }
+    }
+
+    const report = await runEphemeralGC(ctx, { nowFn: () => now })
+    t.is(report.tombstoned, 0)
+    t.alike(stored.holds, [hold], 'should not overwrite the hold')
+    t.is(stored.tombstone, undefined)
+  })
+
+  test('should expire once the hold is released', async (t) => {
+    const expired = []
+    const meta = { id: 'a', createdAt: 0, updatedAt: 0, expiresAt: now - 1, holds: [hold] }
+    const ctx = {
+      async listMetas() {
+        return [meta]
+      },
+      async saveMeta() { },
+      async onExpire(m) {
+        expired.push(m.id)
+      }
+    }
+
+    await runEphemeralGC(ctx, { nowFn: () => now })
+    delete meta.holds
+    const report = await runEphemeralGC(ctx, { nowFn: () => now })
+
+    t.alike(expired, ['a'])
+    t.alike(report.held, [])
+  })
+
+  test('should not tombstone or purge held sessions', async (t) => {
+    const saved = []
+    const ctx = {
+      graceMs: 1000,
+      async listMetas() {
+        return [
+          { id: 'a', createdAt: 0, updatedAt: 0, expiresAt: now - 1, holds: [hold] },
+          { id: 'b', createdAt: 0, updatedAt: 0, expiresAt: now - 1, holds: [hold], tombstone: { expiredAt: 0, reason: 'expired' } }
+        ]
+      },
+      async saveMeta(m) {
+        saved.push(m.id)
+      },
+      async onExpire() {
+        t.fail('should not purge a held session')
+      }
+    }
+
+    const report = await runEphemeralGC(ctx, { nowFn: () => now })
+    t.alike(saved, [])
+    t.is(report.held.length, 2)
+  })
+})
+
+test('gc: sliding expiration', (t) => {
+  test('should expire idle sessions and report their effective expiry', async (t) => {
+    const now = 1_000_000
+    const expired = []
+    const ctx = {
+      async listMetas() {
+        return [
+          { id: 'idle', createdAt: 0, updatedAt: 0, lastAccessAt: now - 2000, idleTtlMs: 1000 },
+          { id: 'active', createdAt: 0, updatedAt: 0, lastAccessAt: now - 500, idleTtlMs: 1000 }
+        ]
+      },
+      async saveMeta() { },
+      async onExpire(meta) {
+        expired.push(meta.id)
+      }
+    }
+
+    const pending = []
+    const report = await runEphemeralGC(ctx, { nowFn: () => now, onPending: (meta, deadline) => pending.push(deadline) })
+    t.alike(expired, ['idle'])
+    t.is(report.sessions[0].expiresAt, now - 1000)
+    t.alike(pending, [now + 500])
+  })
+})
+
+test('gc: trusted clock', (t) => {
+  function createFakeClock(now, trusted) {
+    return { now: () => now, anomalies: () => [], trusted }
+  }
+
+  function createCtx(now, expired) {
+    return {
+      async listMetas() {
+        return [
+          { id: 'due', createdAt: 0, updatedAt: 0, expiresAt: now - 1000 },
+          { id: 'later', createdAt: 0, updatedAt: 0, expiresAt: now + 1000 }
+        ]
+      },
+      async saveMeta() { },
+      async onExpire(meta) {
+        expired.push(meta.id)
+      }
+    }
+  }
+
+  test('should defer expiry while the clock is not trusted', async (t) => {
+    const now = 1_000_000
+    const expired = []
+    const warnings = []
+    const report = await runEphemeralGC(createCtx(now, expired), {
+      clock: createFakeClock(now, false),
+      requireTrustedClock: true,
+      logger: { warn: (msg) => warnings.push(msg) }
+    })
+
+    t.alike(expired, [])
+    t.is(report.deferred, 1)
+    t.is(report.clockTrusted, false)
+    t.is(report.now, now)
+    t.alike(warnings, ['Clock is not trusted, deferring expiry'])
+  })
+
+  test('should expire on a trusted clock', async (t) => {
+    const now = 1_000_000
+    const expired = []
+    const report = await runEphemeralGC(createCtx(now, expired), {
+      clock: createFakeClock(now, true),
+      requireTrustedClock: true
+    })
+
+    t.alike(expired, ['due'])
+    t.is(report.deferred, 0)
+    t.is(report.clockTrusted, true)
+  })
+
+  test('should only report an untrusted clock without requireTrustedClock', async (t) => {
+    const now = 1_000_000
+    const expired = []
+    const report = await runEphemeralGC(createCtx(now, expired), { clock: createFakeClock(now, false) })
+
+    t.alike(expired, ['due'])
+    t.is(report.clockTrusted, false)
+  })
+
+  test('should require a clock with requireTrustedClock', async (t) => {
+    const ctx = createCtx(0, [])
+    await t.exception(() => runEphemeralGC(ctx, { requireTrustedClock: true }), /requireTrustedClock needs a clock/)
+    await t.exception(() => runEphemeralGC(ctx, { clock: {} }), /clock must have a now\(\) method/)
+  })
 })
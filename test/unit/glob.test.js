@@ -0,0 +1,59 @@
+import test from 'brittle'
+import { compileGlob, createGlobFilter } from '../../lib/glob.js'
+
+test('glob: compileGlob', (t) => {
+  test('should throw for empty pattern', (t) => {
+    t.exception(() => compileGlob(''))
+    t.exception(() => compileGlob())
+  })
+
+  test('should match within a segment with *', (t) => {
+    const re = compileGlob('*.png')
+    t.ok(re.test('a.png'))
+    t.absent(re.test('thumbs/a.png'))
+    t.absent(re.test('a.pngx'))
+  })
+
+  test('should match across segments with **', (t) => {
+    const re = compileGlob('chunks/**')
+    t.ok(re.test('chunks/0001'))
+    t.ok(re.test('chunks/a/b/c'))
+    t.absent(re.test('other/0001'))
+  })
+
+  test('should let leading **/ match zero segments', (t) => {
+    const re = compileGlob('**/*.tmp')
+    t.ok(re.test('a.tmp'))
+    t.ok(re.test('x/y/a.tmp'))
+    t.absent(re.test('a.txt'))
+  })
+
+  test('should match single characters with ?', (t) => {
+    const re = compileGlob('part?.bin')
+    t.ok(re.test('part1.bin'))
+    t.absent(re.test('part12.bin'))
+    t.absent(re.test('part/.bin'))
+  })
+
+  test('should escape regex characters', (t) => {
+    const re = compileGlob('a+b(1).txt')
+    t.ok(re.test('a+b(1).txt'))
+    t.absent(re.test('aab(1)xtxt'))
+  })
+})
+
+test('glob: createGlobFilter', (t) => {
+  test('should include everything by default', (t) => {
+    const filter = createGlobFilter()
+    t.ok(filter('a'))
+    t.ok(filter('deep/nested/file'))
+  })
+
+  test('should apply exclude after include', (t) => {
+    const filter = createGlobFilter(['**'], ['keep/**', '*.log'])
+    t.ok(filter('payload.txt'))
+    t.absent(filter('keep/a.txt'))
+    t.absent(filter('debug.log'))
+    t.ok(filter('nested/debug.log'))
+  })
+})
@@ -0,0 +1,47 @@
+import test from 'brittle'
+import { createMinHeap } from '../../lib/heap.js'
+
+test('heap: createMinHeap', (t) => {
+  test('should throw without compare function', (t) => {
+    t.exception(() => createMinHeap())
+  })
+
+  test('should return undefined when empty', (t) => {
+    const heap = createMinHeap((a, b) => a - b)
+    t.is(heap.size(), 0)
+    t.is(heap.peek(), undefined)
+    t.is(heap.pop(), undefined)
+  })
+
+  test('should pop items in ascending order', (t) => {
+    const heap = createMinHeap((a, b) => a - b)
+    for (const n of [5, 3, 9, 1, 7, 3, 0]) heap.push(n)
+
+    t.is(heap.size(), 7)
+    t.is(heap.peek(), 0)
+
+    const out = []
+    while (heap.size() > 0) out.push(heap.pop())
+    t.alike(out, [0, 1, 3, 3, 5, 7, 9])
+  })
+
+  test('should order objects by compare function', (t) => {
+    const heap = createMinHeap((a, b) => a.expiresAt - b.expiresAt)
+    heap.push({ id: 'late', expiresAt: 3000 })
+    heap.push({ id: 'early', expiresAt: 1000 })
+    heap.push({ id: 'mid', expiresAt: 2000 })
+
+    t.is(heap.pop().id, 'early')
+    t.is(heap.pop().id, 'mid')
+    t.is(heap.pop().id, 'late')
+  })
+
+  test('should clear all items', (t) => {
+    const heap = createMinHeap((a, b) => a - b)
+    heap.push(1)
+    heap.push(2)
+    heap.clear()
+    t.is(heap.size(), 0)
+    t.is(heap.peek(), undefined)
+  })
+})
@@ -1,4 +1,5 @@
 import test from 'brittle'
+import { collect } from '../helpers.js'
 import {
   createHyperdriveEphemeralContext,
   createHyperdriveEphemeralGC
@@ -141,12 +142,24 @@ test('hyperdrive-adapter: listMetas validation', async (t) => {
     }
   }
 
+  const warnings = []
   const ctx = createHyperdriveEphemeralContext(mockDrive, {
     prefix: '/test',
-    filesToDelete: []
+    filesToDelete: [],
+    logger: { warn: (msg, fields) => warnings.push({ msg, fields }) }
   })
 
-  const metas = await ctx.listMetas()
+  const skipped = []
+  const metas = await collect(ctx.listMetas({ onSkip: (skip) => skipped.push(skip) }))
+
+  // 'invalid-1' also matches the 'valid-1' branch of the mock, so 7 are invalid
+  t.is(skipped.length, 7, 'should report every invalid meta')
+  t.ok(skipped.every((skip) => typeof skip.reason === 'string' && skip.path.startsWith('/test/')))
+  t.alike(
+    warnings.map(({ msg, fields }) => ({ path: fields.path, reason: msg })),
+    skipped,
+    'should log each skip through the logger'
+  )
 
   t.ok(metas.length >= 1, 'should return at least valid meta')
   const validMetaIds = metas.map(m => m.id)
@@ -0,0 +1,83 @@
+import test from 'brittle'
+import { join } from 'node:path'
+import { existsSync, mkdtempSync, readdirSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { createFileKeystore, createMemoryKeystore } from '../../lib/keystore.js'
+
+function createTestDir(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'hyperfade-keys-'))
+  t.teardown(() => rmSync(dir, { recursive: true, force: true }), { order: Infinity })
+  return dir
+}
+
+test('keystore: createFileKeystore', (t) => {
+  test('should throw without dir', (t) => {
+    t.exception(() => createFileKeystore())
+  })
+
+  test('should create, reuse and destroy keys', async (t) => {
+    const dir = join(createTestDir(t), 'keys')
+    const keystore = createFileKeystore(dir)
+
+    t.is(await keystore.getKey('s1'), null)
+
+    const key = await keystore.getOrCreateKey('s1')
+    t.is(key.length, 32)
+    t.alike(await keystore.getOrCreateKey('s1'), key, 'should reuse existing key')
+    t.alike(await createFileKeystore(dir).getKey('s1'), key, 'should persist across instances')
+
+    t.is(await keystore.destroyKey('s1'), true)
+    t.is(await keystore.getKey('s1'), null)
+    t.is(existsSync(join(dir, 's1.key')), false, 'key file should be removed')
+    t.is(await keystore.destroyKey('s1'), false)
+  })
+
+  test('should hand out one key to concurrent creators', async (t) => {
+    const dir = join(createTestDir(t), 'keys')
+    const keystore = createFileKeystore(dir)
+    const other = createFileKeystore(dir)
+
+    const keys = await Promise.all([
+      keystore.getOrCreateKey('s1'),
+      keystore.getOrCreateKey('s1'),
+      other.getOrCreateKey('s1'),
+      other.getOrCreateKey('s1')
+    ])
+
+    for (const key of keys) t.alike(key, keys[0])
+    t.alike(await keystore.getKey('s1'), keys[0])
+    t.alike(readdirSync(dir), ['s1.key'], 'should not leave temporary files behind')
+  })
+
+  test('should treat a key file zeroed by an interrupted destroy as destroyed', async (t) => {
+    const dir = createTestDir(t)
+    const keystore = createFileKeystore(dir)
+
+    // What a crash between overwriting and unlinking leaves behind
+    writeFileSync(join(dir, 's1.key'), Buffer.alloc(32))
+
+    t.is(await keystore.getKey('s1'), null)
+    const key = await keystore.getOrCreateKey('s1')
+    t.absent(key.every((byte) => byte === 0), 'should not hand out the zeroed key')
+    t.alike(await keystore.getKey('s1'), key)
+  })
+
+  test('should reject invalid ids', async (t) => {
+    const keystore = createFileKeystore(createTestDir(t))
+    await t.exception(() => keystore.getOrCreateKey('../escape'))
+    await t.exception(() => keystore.destroyKey('a/b'))
+  })
+})
+
+test('keystore: createMemoryKeystore', (t) => {
+  test('should create, reuse and destroy keys', async (t) => {
+    const keystore = createMemoryKeystore()
+
+    const key = await keystore.getOrCreateKey('s1')
+    t.alike(await keystore.getKey('s1'), key)
+
+    t.is(await keystore.destroyKey('s1'), true)
+    t.is(await keystore.getKey('s1'), null)
+    t.is(await keystore.destroyKey('s1'), false)
+  })
+})
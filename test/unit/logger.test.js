@@ -0,0 +1,68 @@
+import test from 'brittle'
+import { createConsoleLogger, createSilentLogger, resolveLogger } from '../../lib/logger.js'
+
+test('logger: createConsoleLogger', (t) => {
+  test('should prefix messages and pass fields', (t) => {
+    const calls = []
+    const originalWarn = console.warn
+    console.warn = (...args) => calls.push(args)
+    t.teardown(() => {
+      console.warn = originalWarn
+    })
+
+    const logger = createConsoleLogger()
+    logger.warn('something odd', { id: 'a' })
+    logger.warn('no fields')
+
+    t.alike(calls, [['[ephemeral] something odd', { id: 'a' }], ['[ephemeral] no fields']])
+  })
+
+  test('should drop levels below the minimum', (t) => {
+    const calls = []
+    const originalInfo = console.info
+    const originalError = console.error
+    console.info = (msg) => calls.push(msg)
+    console.error = (msg) => calls.push(msg)
+    t.teardown(() => {
+      console.info = originalInfo
+      console.error = originalError
+    })
+
+    const logger = createConsoleLogger({ level: 'error' })
+    logger.info('hidden')
+    logger.error('shown')
+
+    t.alike(calls, ['[ephemeral] shown'])
+  })
+
+  test('should throw for unknown level', (t) => {
+    t.exception(() => createConsoleLogger({ level: 'verbose' }))
+  })
+})
+
+test('logger: createSilentLogger', (t) => {
+  const logger = createSilentLogger()
+  for (const level of ['debug', 'info', 'warn', 'error']) {
+    t.is(logger[level]('ignored'), undefined)
+  }
+})
+
+test('logger: resolveLogger', (t) => {
+  test('should fill missing levels', (t) => {
+    const calls = []
+    const logger = resolveLogger({
+      prefix: 'custom',
+      warn(msg, fields) {
+        calls.push([this.prefix, msg, fields])
+      }
+    })
+
+    logger.debug('dropped')
+    logger.warn('kept', { id: 'a' })
+    t.alike(calls, [['custom', 'kept', { id: 'a' }]], 'should keep this bound')
+  })
+
+  test('should reject non-objects', (t) => {
+    t.exception(() => resolveLogger('silent'))
+  })
+})
@@ -1,5 +1,5 @@
 import test from 'brittle'
-import { isExpired, isUnlocked, isVisible } from '../../lib/meta.js'
+import { getExpiresAt, getExpiringSoonLead, getNextDeadline, isExpired, isHeld, isOverdue, isUnlocked, isUnlockPending, isVisible } from '../../lib/meta.js'
 import { createMonotonicNow } from '../../lib/time.js'
 
 // Helper to get current time using monotonic clock
@@ -161,3 +161,171 @@ test('meta: isVisible', (t) => {
     t.is(isVisible(meta, now), true)
   })
 })
+
+test('meta: isUnlockPending', (t) => {
+  const now = 1_000_000
+
+  test('should be pending once unlockAt has passed', (t) => {
+    t.is(isUnlockPending({ id: '1', unlockAt: now - 1 }, now), true)
+    t.is(isUnlockPending({ id: '1', unlockAt: now + 1 }, now), false)
+  })
+
+  test('should not be pending without unlockAt or after notification', (t) => {
+    t.is(isUnlockPending({ id: '1' }, now), false)
+    t.is(isUnlockPending({ id: '1', unlockAt: now - 1, unlockNotifiedAt: now }, now), false)
+  })
+
+  test('should not be pending for expired metas', (t) => {
+    t.is(isUnlockPending({ id: '1', unlockAt: now - 10, expiresAt: now - 1 }, now), false)
+  })
+})
+
+test('meta: getNextDeadline', (t) => {
+  test('should return expiresAt by default', (t) => {
+    t.is(getNextDeadline({ id: '1', unlockAt: 10, expiresAt: 20 }), 20)
+    t.is(getNextDeadline({ id: '1' }), undefined)
+  })
+
+  test('should include a pending unlockAt when asked', (t) => {
+    t.is(getNextDeadline({ id: '1', unlockAt: 10, expiresAt: 20 }, { unlock: true }), 10)
+    t.is(getNextDeadline({ id: '1', unlockAt: 10 }, { unlock: true }), 10)
+    t.is(getNextDeadline({ id: '1', unlockAt: 10, unlockNotifiedAt: 11, expiresAt: 20 }, { unlock: true }), 20)
+  })
+})
+
+test('meta: getExpiringSoonLead', (t) => {
+  const hour = 60 * 60 * 1000
+  const leadMs = [24 * hour, hour]
+
+  test('should return the shortest lead time reached', (t) => {
+    const meta = { id: '1', expiresAt: 100 * hour }
+    t.is(getExpiringSoonLead(meta, 70 * hour, leadMs), undefined)
+    t.is(getExpiringSoonLead(meta, 80 * hour, leadMs), 24 * hour)
+    t.is(getExpiringSoonLead(meta, 99.5 * hour, leadMs), hour)
+  })
+
+  test('should skip notified lead times for the same expiresAt', (t) => {
+    const meta = { id: '1', expiresAt: 100 * hour, expiringSoonNotified: { expiresAt: 100 * hour, leadMs: [24 * hour] } }
+    t.is(getExpiringSoonLead(meta, 80 * hour, leadMs), undefined)
+    t.is(getExpiringSoonLead(meta, 99.5 * hour, leadMs), hour)
+  })
+
+  test('should warn again after expiresAt moved', (t) => {
+    const meta = { id: '1', expiresAt: 200 * hour, expiringSoonNotified: { expiresAt: 100 * hour, leadMs: [24 * hour, hour] } }
+    t.is(getExpiringSoonLead(meta, 180 * hour, leadMs), 24 * hour)
+  })
+
+  test('should not warn without expiresAt or once expired', (t) => {
+    t.is(getExpiringSoonLead({ id: '1' }, 0, leadMs), undefined)
+    t.is(getExpiringSoonLead({ id: '1', expiresAt: hour }, hour, leadMs), undefined)
+  })
+
+  test('should feed pending lead times into getNextDeadline', (t) => {
+    const meta = { id: '1', expiresAt: 100 * hour, expiringSoonNotified: { expiresAt: 100 * hour, leadMs: [24 * hour] } }
+    t.is(getNextDeadline(meta, { leadMs }), 99 * hour)
+    t.is(getNextDeadline({ id: '1', expiresAt: 100 * hour }, { leadMs }), 76 * hour)
+  })
+})
+
+test('meta: tombstones', (t) => {
+  test('should treat tombstoned metas as expired', (t) => {
+    const meta = { id: '1', expiresAt: 5000, tombstone: { expiredAt: 100, reason: 'expired' } }
+    t.is(isExpired(meta, 200), true)
+    t.is(isVisible(meta, 200), false)
+  })
+
+  test('should use the end of the grace period as deadline', (t) => {
+    const meta = { id: '1', expiresAt: 50, tombstone: { expiredAt: 100, reason: 'expired' } }
+    t.is(getNextDeadline(meta, { graceMs: 1000 }), 1100)
+    t.is(getNextDeadline(meta), 100)
+  })
+})
+
+test('meta: holds', (t) => {
+  const hold = { reason: 'abuse report #12', holder: 'trust-and-safety' }
+
+  test('should suspend expiry while a hold is active', (t) => {
+    const meta = { id: '1', expiresAt: 100, holds: [hold] }
+    t.is(isHeld(meta, 200), true)
+    t.is(isExpired(meta, 200), false)
+    t.is(isOverdue(meta, 200), true)
+    t.is(isVisible(meta, 200), false, 'held content is preserved, not shown')
+  })
+
+  test('should resume expiry once the hold lapses', (t) => {
+    const meta = { id: '1', expiresAt: 100, holds: [{ ...hold, until: 300 }] }
+    t.is(isExpired(meta, 299), false)
+    t.is(isExpired(meta, 300), true)
+    t.is(isOverdue(meta, 300), false)
+  })
+
+  test('should not be overdue before expiresAt', (t) => {
+    const meta = { id: '1', expiresAt: 100, holds: [hold] }
+    t.is(isOverdue(meta, 50), false)
+    t.is(isVisible(meta, 50), true)
+  })
+
+  test('should push deadlines back to the end of the holds', (t) => {
+    t.is(getNextDeadline({ id: '1', expiresAt: 100, holds: [{ ...hold, until: 300 }] }), 300)
+    t.is(getNextDeadline({ id: '1', expiresAt: 100, holds: [{ ...hold, until: 50 }] }), 100)
+    t.is(getNextDeadline({ id: '1', expiresAt: 100, holds: [hold] }), undefined)
+    t.is(getNextDeadline({ id: '1', unlockAt: 10, expiresAt: 100, holds: [hold] }, { unlock: true }), undefined)
+    t.is(getNextDeadline({ id: '1', unlockAt: 10, expiresAt: 100, holds: [{ ...hold, until: 50 }] }, { unlock: true }), 50)
+  })
+
+  test('should hold back the unlock announcement', (t) => {
+    const meta = { id: '1', unlockAt: 10, expiresAt: 100, holds: [{ ...hold, until: 50 }] }
+    t.is(isUnlockPending(meta, 20), false)
+    t.is(isUnlockPending(meta, 50), true)
+    t.is(isUnlockPending({ ...meta, holds: [hold] }, 200), false, 'should never be pending once overdue')
+  })
+})
+
+test('meta: sliding expiration', (t) => {
+  test('should expire idleTtlMs after the last access', (t) => {
+    const meta = { id: '1', createdAt: 0, updatedAt: 100, idleTtlMs: 1000 }
+    t.is(getExpiresAt(meta), 1100)
+    t.is(getExpiresAt({ ...meta, lastAccessAt: 500 }), 1500)
+    t.is(isExpired({ ...meta, lastAccessAt: 500 }, 1499), false)
+    t.is(isExpired({ ...meta, lastAccessAt: 500 }, 1500), true)
+  })
+
+  test('should cap the lifetime with maxLifetimeMs', (t) => {
+    const meta = { id: '1', createdAt: 0, updatedAt: 0, lastAccessAt: 9500, idleTtlMs: 1000, maxLifetimeMs: 10_000 }
+    t.is(getExpiresAt(meta), 10_000)
+    t.is(isExpired(meta, 10_000), true)
+  })
+
+  test('should use the earliest of expiresAt and the sliding expiry', (t) => {
+    t.is(getExpiresAt({ id: '1', createdAt: 0, updatedAt: 0, idleTtlMs: 1000, expiresAt: 600 }), 600)
+    t.is(getExpiresAt({ id: '1', createdAt: 0, updatedAt: 0 }), undefined)
+  })
+
+  test('should report the sliding expiry as deadline', (t) => {
+    t.is(getNextDeadline({ id: '1', createdAt: 0, updatedAt: 0, lastAccessAt: 500, idleTtlMs: 1000 }), 1500)
+  })
+})
+
+test('meta: read limits', (t) => {
+  test('should expire once maxReads is reached', (t) => {
+    t.is(isExpired({ id: '1', maxReads: 2, reads: 1 }, 0), false)
+    t.is(isExpired({ id: '1', maxReads: 2, reads: 2 }, 0), true)
+    t.is(isExpired({ id: '1', maxReads: 1 }, 0), false)
+  })
+})
+
+test('meta: time intervals', (t) => {
+  test('should only unlock once the earliest plausible time has passed', (t) => {
+    const meta = { id: '1', createdAt: 0, updatedAt: 0, unlockAt: 1000 }
+    t.is(isUnlocked(meta, { earliest: 990, latest: 1010 }), false)
+    t.is(isUnlocked(meta, { earliest: 1000, latest: 1020 }), true)
+    t.exception(() => isUnlocked(meta, { latest: 1020 }), /now is required/)
+  })
+
+  test('should only be visible for every time in the interval', (t) => {
+    const meta = { id: '1', createdAt: 0, updatedAt: 0, unlockAt: 1000, expiresAt: 2000 }
+    t.is(isVisible(meta, { earliest: 1500, latest: 1600 }), true)
+    t.is(isVisible(meta, { earliest: 990, latest: 1100 }), false)
+    t.is(isVisible(meta, { earliest: 1990, latest: 2010 }), false)
+  })
+})
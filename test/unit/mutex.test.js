@@ -0,0 +1,44 @@
+import test from 'brittle'
+import { createKeyedMutex } from '../../lib/mutex.js'
+
+test('mutex: createKeyedMutex', (t) => {
+  test('should run operations on the same key one at a time', async (t) => {
+    const mutex = createKeyedMutex()
+    const events = []
+
+    async function op(name) {
+      events.push(`${name}:start`)
+      await new Promise(resolve => setTimeout(resolve, 5))
+      events.push(`${name}:end`)
+      return name
+    }
+
+    const results = await Promise.all([mutex.run('a', () => op('1')), mutex.run('a', () => op('2'))])
+
+    t.alike(results, ['1', '2'])
+    t.alike(events, ['1:start', '1:end', '2:start', '2:end'])
+  })
+
+  test('should run different keys in parallel', async (t) => {
+    const mutex = createKeyedMutex()
+    let running = 0
+    let maxRunning = 0
+
+    async function op() {
+      running++
+      maxRunning = Math.max(maxRunning, running)
+      await new Promise(resolve => setTimeout(resolve, 5))
+      running--
+    }
+
+    await Promise.all([mutex.run('a', op), mutex.run('b', op)])
+    t.is(maxRunning, 2)
+  })
+
+  test('should keep going after a failed operation', async (t) => {
+    const mutex = createKeyedMutex()
+
+    await t.exception(mutex.run('a', () => { throw new Error('boom') }), /boom/)
+    t.is(await mutex.run('a', () => 'next'), 'next')
+  })
+})
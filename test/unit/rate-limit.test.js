@@ -0,0 +1,41 @@
+import test from 'brittle'
+import { createRateLimiter } from '../../lib/rate-limit.js'
+
+test('rate-limit: createRateLimiter', (t) => {
+  test('should pace operations to the rate', async (t) => {
+    const limiter = createRateLimiter(100)
+    const startedAt = performance.now()
+
+    for (let i = 0; i < 5; i++) await limiter.acquire()
+
+    // First is immediate, the next four wait 10ms each
+    t.ok(performance.now() - startedAt >= 35)
+  })
+
+  test('should admit a burst without waiting', async (t) => {
+    const limiter = createRateLimiter(1, { burst: 3 })
+    const startedAt = performance.now()
+
+    await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()])
+
+    t.ok(performance.now() - startedAt < 500)
+  })
+
+  test('should admit callers in order', async (t) => {
+    const limiter = createRateLimiter(200)
+    const order = []
+
+    await Promise.all([1, 2, 3, 4].map(async (n) => {
+      await limiter.acquire()
+      order.push(n)
+    }))
+
+    t.alike(order, [1, 2, 3, 4])
+  })
+
+  test('should throw for invalid options', (t) => {
+    t.exception(() => createRateLimiter(0))
+    t.exception(() => createRateLimiter('fast'))
+    t.exception(() => createRateLimiter(10, { burst: 0 }))
+  })
+})
@@ -1,5 +1,23 @@
 import test from 'brittle'
-import { createMonotonicNow } from '../../lib/time.js'
+import { generateKeyPairSync } from 'node:crypto'
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import {
+  createDriveClockFloor,
+  createFileClockFloor,
+  createLocalTimeSource,
+  createManualClock,
+  createMonotonicClock,
+  createMonotonicNow,
+  createPeerTimeSource,
+  createPersistedMonotonicNow,
+  createRoughtimeResponder,
+  createRoughtimeSource,
+  createTrustedTime
+} from '../../lib/time.js'
+import { isUnlocked } from '../../lib/meta.js'
+import { createTestDrive } from '../helpers.js'
 
 test('time: createMonotonicNow', (t) => {
   test('should return a function', (t) => {
@@ -157,3 +175,737 @@ test('time: createMonotonicNow', (t) => {
   })
 })
 
+test('time: logger', (t) => {
+  let mockTime = 1000
+  const originalNow = Date.now
+  const originalElapsed = performance.now
+  Date.now = () => mockTime
+  performance.now = () => 0
+  t.teardown(() => {
+    Date.now = originalNow
+    performance.now = originalElapsed
+  })
+
+  const warnings = []
+  const now = createMonotonicNow({
+    maxForwardMs: 100,
+    logger: { warn: (msg, fields) => warnings.push({ msg, fields }) }
+  })
+
+  mockTime = 5000
+  now()
+  now()
+
+  t.is(warnings.length, 1, 'should warn once per jump')
+  t.is(warnings[0].msg, 'Suspicious clock forward jump detected')
+  t.alike(warnings[0].fields, { current: 5000, expected: 1000, maxForwardMs: 100 })
+})
+
+// Replaces the wall clock and the elapsed-time clock with settable values
+function mockClocks(t) {
+  const clocks = { wall: 1000, elapsed: 0 }
+  const originalNow = Date.now
+  const originalElapsed = performance.now
+  Date.now = () => clocks.wall
+  performance.now = () => clocks.elapsed
+  t.teardown(() => {
+    Date.now = originalNow
+    performance.now = originalElapsed
+  })
+  return clocks
+}
+
+test('time: createMonotonicNow forward jumps', (t) => {
+  test('should keep following the wall clock after maxForwardMs of uptime', (t) => {
+    const clocks = mockClocks(t)
+    const warnings = []
+    const now = createMonotonicNow({ maxForwardMs: 100, logger: { warn: (msg) => warnings.push(msg) } })
+
+    for (let i = 1; i <= 10; i++) {
+      clocks.wall += 60
+      clocks.elapsed += 60
+      t.is(now(), 1000 + i * 60)
+    }
+    t.is(warnings.length, 0, 'elapsed time is not a jump')
+  })
+
+  test('should accept a long gap between readings', (t) => {
+    const clocks = mockClocks(t)
+    const now = createMonotonicNow({ maxForwardMs: 100, logger: { warn() {} } })
+
+    clocks.wall += 2 * 60 * 60 * 1000
+    clocks.elapsed += 2 * 60 * 60 * 1000
+    t.is(now(), 1000 + 2 * 60 * 60 * 1000)
+  })
+
+  test('should advance by the elapsed time only when the wall clock jumps ahead', (t) => {
+    const clocks = mockClocks(t)
+    const warnings = []
+    const now = createMonotonicNow({ maxForwardMs: 100, logger: { warn: (msg) => warnings.push(msg) } })
+
+    clocks.wall += 10000
+    clocks.elapsed += 50
+    t.is(now(), 1050)
+
+    clocks.wall += 20
+    clocks.elapsed += 20
+    t.is(now(), 1070, 'should keep ticking while the wall clock stays ahead')
+    t.is(warnings.length, 1)
+  })
+
+  test('should resume following the wall clock once it is back in range', (t) => {
+    const clocks = mockClocks(t)
+    const warnings = []
+    const now = createMonotonicNow({ maxForwardMs: 100, logger: { warn: (msg) => warnings.push(msg) } })
+
+    clocks.wall = 20000
+    t.is(now(), 1000)
+
+    clocks.wall = 1080
+    clocks.elapsed += 30
+    t.is(now(), 1080)
+
+    clocks.wall = 30000
+    t.is(now(), 1080)
+    t.is(warnings.length, 2, 'should warn again for a new jump')
+  })
+
+  test('should follow the wall clock again once a jump has held for reanchorAfterMs', (t) => {
+    const clocks = mockClocks(t)
+    const warnings = []
+    const clock = createMonotonicClock({
+      maxForwardMs: 100,
+      reanchorAfterMs: 10_000,
+      logger: { warn: (msg) => warnings.push(msg) }
+    })
+
+    // A suspend: the wall clock moved on, elapsed time did not
+    clocks.wall += 8 * 60 * 60 * 1000
+    t.is(clock.now(), 1000)
+    t.absent(clock.trusted)
+
+    for (let i = 1; i < 10; i++) {
+      clocks.wall += 1000
+      clocks.elapsed += 1000
+      t.is(clock.now(), 1000 + i * 1000, 'should follow elapsed time while the jump is recent')
+    }
+    t.absent(clock.trusted)
+
+    clocks.wall += 1000
+    clocks.elapsed += 1000
+    t.is(clock.now(), clocks.wall)
+    t.absent(clock.trusted, 'a re-anchored jump may have been a tampered clock')
+    t.is(clock.anomalies()[0].endedAt, null, 'should keep the anomaly open')
+
+    clocks.wall += 1000
+    clocks.elapsed += 1000
+    t.is(clock.now(), clocks.wall)
+    t.absent(clock.trusted, 'should stay untrusted')
+    t.alike(warnings, ['Suspicious clock forward jump detected', 'Following the wall clock again after a steady forward jump'])
+  })
+
+  test('should not re-anchor while the wall clock keeps jumping', (t) => {
+    const clocks = mockClocks(t)
+    const clock = createMonotonicClock({ maxForwardMs: 100, reanchorAfterMs: 10_000, logger: { warn() {} } })
+
+    clocks.wall += 60_000
+    clock.now()
+    for (let i = 0; i < 20; i++) {
+      clocks.wall += 1000 + 5000
+      clocks.elapsed += 1000
+      clock.now()
+    }
+    t.absent(clock.trusted)
+    t.is(clock.now(), 1000 + 20 * 1000)
+  })
+
+  test('should never re-anchor by default', (t) => {
+    const clocks = mockClocks(t)
+    const now = createMonotonicNow({ maxForwardMs: 100, logger: { warn() {} } })
+
+    clocks.wall += 60_000
+    now()
+    clocks.wall += 24 * 60 * 60 * 1000
+    clocks.elapsed += 24 * 60 * 60 * 1000
+    t.is(now(), 1000 + 24 * 60 * 60 * 1000)
+  })
+
+  test('should keep integer timestamps', (t) => {
+    const clocks = mockClocks(t)
+    const now = createMonotonicNow({ maxForwardMs: 100, logger: { warn() {} } })
+
+    clocks.wall = 50000
+    clocks.elapsed = 0.6
+    t.is(now(), 1000)
+    clocks.elapsed = 1.2
+    t.is(now(), 1001, 'should carry fractions of a millisecond')
+  })
+})
+
+test('time: createMonotonicNow floor', (t) => {
+  let mockTime = 1000
+  const originalNow = Date.now
+  Date.now = () => mockTime
+  t.teardown(() => {
+    Date.now = originalNow
+  })
+
+  const now = createMonotonicNow({ floor: 5000, logger: { warn() {} } })
+  t.is(now(), 5000, 'should start from the floor when the wall clock is behind')
+
+  mockTime = 6000
+  t.is(now(), 6000, 'should follow the wall clock once it passes the floor')
+})
+
+test('time: createMonotonicClock', (t) => {
+  test('should be trusted while following the wall clock', (t) => {
+    const clocks = mockClocks(t)
+    const clock = createMonotonicClock()
+
+    clocks.wall = 1500
+    clocks.elapsed = 500
+    t.is(clock.now(), 1500)
+    t.ok(clock.trusted)
+    t.alike(clock.anomalies(), [])
+  })
+
+  test('should record a backward jump until the wall clock catches up', (t) => {
+    const clocks = mockClocks(t)
+    const seen = []
+    const clock = createMonotonicClock({ maxBackwardsMs: 100, onAnomaly: (anomaly) => seen.push(anomaly) })
+
+    clocks.wall = 500
+    t.is(clock.now(), 1000)
+    t.is(clock.now(), 1000)
+    t.absent(clock.trusted, 'should not be trusted while the wall clock is behind')
+
+    clocks.wall = 950
+    t.is(clock.now(), 1000, 'should hold within tolerance')
+    t.ok(clock.trusted)
+
+    t.alike(clock.anomalies(), [{ type: 'backward', wall: 500, value: 1000, deltaMs: -500, endedAt: 1000 }])
+    t.alike(seen, [{ type: 'backward', wall: 500, value: 1000, deltaMs: -500, endedAt: null }], 'should call onAnomaly once per anomaly')
+  })
+
+  test('should record a forward jump', (t) => {
+    const clocks = mockClocks(t)
+    const warnings = []
+    const clock = createMonotonicClock({ maxForwardMs: 100, logger: { warn: (msg) => warnings.push(msg) } })
+
+    clocks.wall = 10000
+    clocks.elapsed = 50
+    t.is(clock.now(), 1050)
+    t.absent(clock.trusted)
+
+    clocks.wall = 1100
+    clocks.elapsed = 100
+    t.is(clock.now(), 1100)
+    t.ok(clock.trusted)
+
+    t.alike(clock.anomalies(), [{ type: 'forward', wall: 10000, value: 1050, deltaMs: 8950, endedAt: 1100 }])
+    t.alike(warnings, ['Suspicious clock forward jump detected'])
+  })
+
+  test('should keep a bounded history', (t) => {
+    const clocks = mockClocks(t)
+    const clock = createMonotonicClock({ maxAnomalies: 2, maxBackwardsMs: 100, maxForwardMs: 100, logger: { warn() {} } })
+
+    for (const wall of [500, 1000, 600, 5000, 1000]) {
+      clocks.wall = wall
+      clock.now()
+    }
+
+    t.alike(clock.anomalies().map((a) => a.type + ':' + a.wall), ['backward:600', 'forward:5000'])
+  })
+
+  test('should survive a throwing onAnomaly', (t) => {
+    const clocks = mockClocks(t)
+    const warnings = []
+    const clock = createMonotonicClock({
+      maxBackwardsMs: 100,
+      onAnomaly() {
+        throw new Error('boom')
+      },
+      logger: { warn: (msg) => warnings.push(msg) }
+    })
+
+    clocks.wall = 0
+    t.is(clock.now(), 1000)
+    t.alike(warnings, ['onAnomaly failed'])
+  })
+})
+
+function createMemoryFloor(value = null) {
+  const saves = []
+  return {
+    saves,
+    get value() {
+      return value
+    },
+    async load() {
+      return value
+    },
+    async save(ts) {
+      saves.push(ts)
+      value = ts
+    }
+  }
+}
+
+test('time: createPersistedMonotonicNow', (t) => {
+  test('should validate its arguments', async (t) => {
+    await t.exception(() => createPersistedMonotonicNow(), /floor is required/)
+    await t.exception(
+      () => createPersistedMonotonicNow(createMemoryFloor(), { persistIntervalMs: -1 }),
+      /persistIntervalMs must be a non-negative number/
+    )
+  })
+
+  test('should store the startup time', async (t) => {
+    let mockTime = 1000
+    const originalNow = Date.now
+    Date.now = () => mockTime
+    t.teardown(() => {
+      Date.now = originalNow
+    })
+
+    const floor = createMemoryFloor()
+    const now = await createPersistedMonotonicNow(floor)
+    t.is(floor.value, 1000)
+
+    mockTime = 1500
+    t.is(now(), 1500)
+    await now.flush()
+    t.is(floor.value, 1500, 'flush should store the latest value')
+  })
+
+  test('should not go backwards across a restart', async (t) => {
+    let mockTime = 10000
+    const originalNow = Date.now
+    Date.now = () => mockTime
+    t.teardown(() => {
+      Date.now = originalNow
+    })
+
+    const floor = createMemoryFloor()
+    const first = await createPersistedMonotonicNow(floor)
+    mockTime = 20000
+    first()
+    await first.flush()
+
+    // Restart with the wall clock rolled back
+    mockTime = 12000
+    const warnings = []
+    const second = await createPersistedMonotonicNow(floor, {
+      logger: { warn: (msg, fields) => warnings.push({ msg, fields }) }
+    })
+
+    t.is(second(), 20000, 'should resume from the persisted floor')
+    t.is(warnings.length, 1)
+    t.is(warnings[0].msg, 'Wall clock is behind the persisted clock floor')
+    t.alike(warnings[0].fields, { wall: 12000, floor: 20000 })
+  })
+
+  test('should save at most every persistIntervalMs', async (t) => {
+    let mockTime = 1000
+    const originalNow = Date.now
+    Date.now = () => mockTime
+    t.teardown(() => {
+      Date.now = originalNow
+    })
+
+    const floor = createMemoryFloor()
+    const now = await createPersistedMonotonicNow(floor, { persistIntervalMs: 100 })
+    t.alike(floor.saves, [1000])
+
+    mockTime = 1050
+    now()
+    mockTime = 1100
+    now()
+    await now.flush()
+    t.alike(floor.saves, [1000, 1100, 1100])
+  })
+
+  test('should default to the floor\'s persistIntervalMs', async (t) => {
+    let mockTime = 1000
+    const originalNow = Date.now
+    Date.now = () => mockTime
+    t.teardown(() => {
+      Date.now = originalNow
+    })
+
+    const floor = Object.assign(createMemoryFloor(), { persistIntervalMs: 500 })
+    const now = await createPersistedMonotonicNow(floor)
+
+    mockTime = 1400
+    now()
+    mockTime = 1500
+    now()
+    await new Promise((resolve) => setImmediate(resolve))
+    t.alike(floor.saves, [1000, 1500])
+  })
+
+  test('should log failed saves and keep running', async (t) => {
+    const errors = []
+    let fail = false
+    const floor = {
+      async load() {
+        return null
+      },
+      async save() {
+        if (fail) throw new Error('disk full')
+      }
+    }
+
+    const now = await createPersistedMonotonicNow(floor, {
+      logger: { error: (msg) => errors.push(msg) }
+    })
+
+    fail = true
+    await now.flush()
+    t.alike(errors, ['Failed to persist clock floor'])
+    t.ok(now() > 0)
+  })
+})
+
+function createTempDir(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'hyperfade-floor-'))
+  t.teardown(() => rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+test('time: createFileClockFloor', (t) => {
+  test('should return null before anything was stored', async (t) => {
+    const dir = createTempDir(t)
+    const floor = createFileClockFloor(join(dir, 'missing.json'))
+    t.is(await floor.load(), null)
+  })
+
+  test('should round-trip the floor', async (t) => {
+    const dir = createTempDir(t)
+    const floor = createFileClockFloor(join(dir, 'nested', 'floor.json'))
+    await floor.save(12345)
+    t.is(await floor.load(), 12345)
+    await floor.save(23456)
+    t.is(await createFileClockFloor(join(dir, 'nested', 'floor.json')).load(), 23456)
+  })
+
+  test('should reject a corrupt file', async (t) => {
+    const dir = createTempDir(t)
+    const path = join(dir, 'corrupt.json')
+    writeFileSync(path, 'not json')
+    await t.exception(() => createFileClockFloor(path).load(), /Stored clock floor is corrupt/)
+
+    writeFileSync(path, JSON.stringify({ floor: 'soon' }))
+    await t.exception(() => createFileClockFloor(path).load(), /Stored clock floor is corrupt/)
+  })
+
+  test('should require a path', (t) => {
+    t.exception(() => createFileClockFloor(), /path is required/)
+  })
+})
+
+test('time: createDriveClockFloor', async (t) => {
+  const { drive, cleanup } = await createTestDrive()
+  t.teardown(cleanup)
+
+  const floor = createDriveClockFloor(drive)
+  t.is(await floor.load(), null)
+
+  await floor.save(12345)
+  t.is(await floor.load(), 12345)
+  t.ok(await drive.entry('/.hyperfade/clock-floor.json'), 'should store the floor at the default path')
+
+  let saves = 0
+  const save = floor.save
+  floor.save = (ts) => {
+    saves++
+    return save(ts)
+  }
+  const now = await createPersistedMonotonicNow(floor)
+  for (let i = 0; i < 3; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 400))
+    now()
+  }
+  t.is(saves, 1, 'should only store the startup time within the first 10 minutes')
+
+  t.exception(() => createDriveClockFloor(), /drive is required/)
+})
+
+test('time: createRoughtimeSource', (t) => {
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519')
+
+  test('should accept a signed time from a local server', async (t) => {
+    const source = createRoughtimeSource({
+      publicKey,
+      transport: createRoughtimeResponder({ privateKey, nowFn: () => 1_000_000, radiusMs: 500 })
+    })
+
+    const sample = await source.sample()
+    t.ok(sample.time >= 1_000_000 && sample.time < 1_000_100)
+    t.ok(sample.uncertaintyMs >= 500 && sample.uncertaintyMs < 600)
+    t.is(source.name, 'roughtime')
+  })
+
+  test('should reject a response signed with another key', async (t) => {
+    const other = generateKeyPairSync('ed25519')
+    const source = createRoughtimeSource({
+      publicKey,
+      transport: createRoughtimeResponder({ privateKey: other.privateKey })
+    })
+
+    await t.exception(() => source.sample(), /invalid signature/)
+  })
+
+  test('should reject a tampered or replayed response', async (t) => {
+    const respond = createRoughtimeResponder({ privateKey })
+    let replay = null
+
+    const tampered = createRoughtimeSource({
+      publicKey,
+      transport: async (request) => ({ ...(await respond(request)), midpoint: 0 })
+    })
+    await t.exception(() => tampered.sample(), /invalid signature/)
+
+    const replayed = createRoughtimeSource({
+      publicKey,
+      transport: async (request) => {
+        replay ??= await respond(request)
+        return replay
+      }
+    })
+    await replayed.sample()
+    await t.exception(() => replayed.sample(), /invalid signature/, 'a response is only valid for its own nonce')
+  })
+
+  test('should reject malformed responses', async (t) => {
+    const source = createRoughtimeSource({ publicKey, transport: async () => ({ midpoint: 'now' }) })
+    await t.exception(() => source.sample(), /Malformed Roughtime response/)
+  })
+
+  test('should validate keys and transport', (t) => {
+    t.exception(() => createRoughtimeSource({ publicKey }), /transport is required/)
+    t.exception(() => createRoughtimeSource({ transport: async () => ({}) }), /must be an Ed25519 key/)
+    const rsa = generateKeyPairSync('rsa', { modulusLength: 1024 })
+    t.exception(() => createRoughtimeSource({ publicKey: rsa.publicKey, transport: async () => ({}) }), /must be an Ed25519 key/)
+    t.exception(() => createRoughtimeResponder({ privateKey: publicKey }), /not a valid key|must be an Ed25519 key/)
+  })
+})
+
+test('time: createTrustedTime', (t) => {
+  function fixedSource(name, time, uncertaintyMs = 100) {
+    return { name, sample: async () => ({ time, uncertaintyMs }) }
+  }
+
+  test('should take the median of agreeing sources', async (t) => {
+    const trusted = createTrustedTime([
+      fixedSource('a', 10_000, 100),
+      fixedSource('b', 10_050, 100),
+      fixedSource('c', 10_020, 200)
+    ])
+
+    const result = await trusted.sync()
+    t.alike(result.sources, ['a', 'b', 'c'])
+    t.alike(result.rejected, [])
+    t.ok(result.time >= 10_020 && result.time < 10_030)
+    t.ok(result.earliest >= 9_900 && result.earliest < 9_910)
+    t.ok(result.latest >= 10_150 && result.latest < 10_160)
+  })
+
+  test('should drop a lying minority', async (t) => {
+    const warnings = []
+    const trusted = createTrustedTime([
+      fixedSource('a', 10_000),
+      fixedSource('b', 10_010),
+      fixedSource('liar', 99_999_000)
+    ], { logger: { warn: (msg, fields) => warnings.push(fields) } })
+
+    const result = await trusted.sync()
+    t.alike(result.sources, ['a', 'b'])
+    t.alike(result.rejected, [{ name: 'liar', reason: 'disagrees with the other sources' }])
+    t.alike(warnings, [{ source: 'liar', reason: 'disagrees with the other sources' }])
+    t.ok(result.latest < 10_200)
+  })
+
+  test('should fail without enough agreeing sources', async (t) => {
+    const trusted = createTrustedTime([
+      fixedSource('a', 10_000),
+      { name: 'down', sample: async () => { throw new Error('unreachable') } },
+      fixedSource('vague', 10_000, 60_000)
+    ], { logger: { warn() {} } })
+
+    await t.exception(() => trusted.sync(), /Only 1 time sources agree, 2 required/)
+    t.exception(() => trusted.now(), /call sync\(\) first/)
+  })
+
+  test('should time out slow sources', async (t) => {
+    const trusted = createTrustedTime([
+      fixedSource('a', 10_000),
+      { name: 'slow', sample: () => new Promise(() => { }) }
+    ], { minSources: 1, timeoutMs: 20, logger: { warn() {} } })
+
+    const result = await trusted.sync()
+    t.alike(result.rejected, [{ name: 'slow', reason: '[ephemeral] Timed out after 20ms' }])
+  })
+
+  test('should project the interval forward and widen it with drift', async (t) => {
+    let elapsed = 0
+    const originalElapsed = performance.now
+    performance.now = () => elapsed
+    t.teardown(() => {
+      performance.now = originalElapsed
+    })
+
+    const trusted = createTrustedTime([fixedSource('a', 10_000, 100)], { maxDriftPpm: 1000 })
+    await trusted.sync()
+
+    elapsed = 10_000
+    t.alike(trusted.now(), { time: 20_000, earliest: 19_890, latest: 20_110 })
+  })
+
+  test('should combine local, Roughtime and peer sources', async (t) => {
+    const { publicKey, privateKey } = generateKeyPairSync('ed25519')
+    const now = 1_000_000
+    const trusted = createTrustedTime([
+      createLocalTimeSource({ nowFn: () => now, uncertaintyMs: 1000 }),
+      createRoughtimeSource({ publicKey, transport: createRoughtimeResponder({ privateKey, nowFn: () => now + 200 }) }),
+      createPeerTimeSource(async () => now - 100, { uncertaintyMs: 1000 })
+    ])
+
+    const result = await trusted.sync()
+    t.alike(result.sources, ['local', 'roughtime', 'peer'])
+    t.ok(result.earliest <= now && result.latest >= now)
+
+    const meta = { id: '1', createdAt: 0, updatedAt: 0, unlockAt: now + 500 }
+    t.ok(isUnlocked(meta, now + 600), 'the local clock alone would unlock')
+    t.absent(isUnlocked(meta, trusted.now()), 'the earliest plausible time has not passed unlockAt')
+  })
+
+  test('should let the default local source agree with Roughtime', async (t) => {
+    const { publicKey, privateKey } = generateKeyPairSync('ed25519')
+    const now = 1_000_000
+    const trusted = createTrustedTime([
+      createLocalTimeSource({ nowFn: () => now }),
+      createRoughtimeSource({ publicKey, transport: createRoughtimeResponder({ privateKey, nowFn: () => now + 300 }) })
+    ])
+
+    const result = await trusted.sync()
+    t.alike(result.sources, ['local', 'roughtime'])
+    t.alike(result.rejected, [])
+  })
+
+  test('should reject a precise source outside the shared range', async (t) => {
+    const trusted = createTrustedTime([
+      fixedSource('a', 10_000),
+      fixedSource('b', 10_050),
+      fixedSource('exact', 10_500, 0)
+    ], { logger: { warn() {} } })
+
+    const result = await trusted.sync()
+    t.alike(result.sources, ['a', 'b'])
+    t.alike(result.rejected, [{ name: 'exact', reason: 'disagrees with the other sources' }])
+  })
+
+  test('should validate its arguments', (t) => {
+    t.exception(() => createTrustedTime([]), /sources must be a non-empty array/)
+    t.exception(() => createTrustedTime([fixedSource('a', 0)], { minSources: 2 }), /minSources must be between/)
+    t.exception(() => createTrustedTime([fixedSource('a', 0)], { timeoutMs: -1 }), /timeoutMs must be a non-negative number/)
+    t.exception(() => createPeerTimeSource(), /getTime is required/)
+  })
+})
+
+test('time: createManualClock', (t) => {
+  test('should only move when told to', async (t) => {
+    const clock = createManualClock({ start: 5000 })
+    t.is(clock.now(), 5000)
+
+    await clock.advance(250)
+    t.is(clock.now(), 5250)
+
+    clock.set(1000)
+    t.is(clock.now(), 1000, 'set may move the clock backwards')
+  })
+
+  test('should fire timers in order at their time', async (t) => {
+    const clock = createManualClock()
+    const fired = []
+    const { setTimeout, clearTimeout } = clock.timers
+
+    setTimeout(() => fired.push(`b@${clock.now()}`), 200)
+    setTimeout(() => fired.push(`a@${clock.now()}`), 100)
+    setTimeout(() => fired.push(`c@${clock.now()}`), 200)
+    const cancelled = setTimeout(() => fired.push('cancelled'), 50)
+    clearTimeout(cancelled)
+
+    await clock.advance(150)
+    t.alike(fired, ['a@100'])
+    t.is(clock.now(), 150)
+
+    await clock.advance(1000)
+    t.alike(fired, ['a@100', 'b@200', 'c@200'])
+    t.is(clock.pending(), 0)
+  })
+
+  test('should fire timers scheduled by other timers in the same advance', async (t) => {
+    const clock = createManualClock()
+    const fired = []
+    const { setTimeout } = clock.timers
+
+    setTimeout(async () => {
+      await Promise.resolve()
+      setTimeout(() => fired.push(clock.now()), 100)
+    }, 100)
+
+    await clock.advance(500)
+    t.alike(fired, [200])
+  })
+
+  test('should wait for tracked work before moving on', async (t) => {
+    const clock = createManualClock()
+    const fired = []
+    const { setTimeout, track } = clock.timers
+
+    setTimeout(() => {
+      // Real I/O outlasts the few event loop turns advance() gives untracked work
+      track(new Promise((resolve) => globalThis.setTimeout(resolve, 20)).then(() => {
+        fired.push(`io@${clock.now()}`)
+        setTimeout(() => fired.push(`next@${clock.now()}`), 100)
+      }))
+    }, 100)
+
+    await clock.advance(500)
+    t.alike(fired, ['io@100', 'next@200'])
+  })
+
+  test('should repeat intervals', async (t) => {
+    const clock = createManualClock()
+    const fired = []
+    const handle = clock.timers.setInterval(() => fired.push(clock.now()), 100)
+
+    await clock.advance(350)
+    t.alike(fired, [100, 200, 300])
+
+    clock.timers.clearInterval(handle)
+    await clock.advance(1000)
+    t.alike(fired, [100, 200, 300])
+  })
+
+  test('should run timers on elapsed time, not on set()', async (t) => {
+    const clock = createManualClock({ start: 1000 })
+    const fired = []
+    clock.timers.setTimeout(() => fired.push(clock.now()), 100)
+
+    clock.set(5000)
+    t.alike(fired, [], 'set should not fire timers')
+
+    await clock.advance(100)
+    t.alike(fired, [5100])
+  })
+
+  test('should validate its arguments', async (t) => {
+    t.exception(() => createManualClock({ start: NaN }), /start must be a finite number/)
+    const clock = createManualClock()
+    await t.exception(() => clock.advance(-1), /non-negative number/)
+    t.exception(() => clock.set(Infinity), /finite number/)
+  })
+})